@@ -1,17 +1,39 @@
 const TaskGraph = require('./lib/task-graph');
 const QueueManager = require('./lib/queue-manager');
+const RetryPolicy = require('./lib/retry-policy');
+const HandlerRegistry = require('./lib/handler-registry');
+const { loadGraph, parseGraphDefinition } = require('./lib/graph-loader');
+const stateStores = require('./lib/state-stores');
+const IdempotencyCache = require('./lib/idempotency-cache');
+const middleware = require('./lib/middleware');
+const errors = require('./lib/errors');
 const AdaptiveConcurrency = require('./lib/adaptive-concurrency');
+const WorkerPool = require('./lib/worker-pool');
+const JobScheduler = require('./lib/job-scheduler');
+const CronExpression = require('./lib/cron');
 const Monitor = require('./lib/monitor');
 const RabbitMQAdapter = require('./lib/adapters/rabbitmq-adapter');
 const GRPCAdapter = require('./lib/adapters/grpc-adapter');
 
 module.exports = {
   TaskGraph,
+  TaskState: TaskGraph.TaskState,
   QueueManager,
   AdaptiveConcurrency,
+  RetryPolicy,
+  HandlerRegistry,
+  loadGraph,
+  parseGraphDefinition,
+  WorkerPool,
+  JobScheduler,
+  CronExpression,
   Monitor,
   adapters: {
     RabbitMQAdapter,
     GRPCAdapter
-  }
+  },
+  stateStores,
+  IdempotencyCache,
+  middleware,
+  errors
 };
\ No newline at end of file
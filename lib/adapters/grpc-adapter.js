@@ -10,6 +10,14 @@ const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
 const fs = require('fs');
+const IdempotencyCache = require('../idempotency-cache');
+const { checkProgress } = require('../progress');
+
+// Metadata entry carrying the idempotency key of a task request
+const IDEMPOTENCY_KEY = 'idempotency-key';
+
+// Statuses after which a task has no more updates to stream
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'skipped'];
 
 class GRPCAdapter extends EventEmitter {
   /**
@@ -19,6 +27,10 @@ class GRPCAdapter extends EventEmitter {
    * @param {string} options.serviceName - Name of the service in the proto file (default: TaskService)
    * @param {string} options.serverAddress - Address for the server (default: 0.0.0.0:50051)
    * @param {Object} options.credentials - gRPC credentials (default: insecure)
+   * @param {IdempotencyCache} options.idempotencyCache - Cache used to skip duplicate requests (default: in-memory)
+   * @param {number} options.dedupeWindow - Dedupe window in ms for the default cache
+   * @param {QueueManager} options.queueManager - QueueManager whose task progress is reported as well
+   * @param {number} options.statusHistory - Number of finished tasks whose status is kept (default: 1000)
    */
   constructor(options = {}) {
     super();
@@ -28,6 +40,10 @@ class GRPCAdapter extends EventEmitter {
     this.serviceName = options.serviceName || 'TaskService';
     this.serverAddress = options.serverAddress || '0.0.0.0:50051';
     this.credentials = options.credentials || grpc.ServerCredentials.createInsecure();
+    this.idempotencyCache = options.idempotencyCache || new IdempotencyCache({ window: options.dedupeWindow });
+    this.statusHistory = options.statusHistory || 1000;
+    this.taskStatus = new Map();
+    this.statusStreams = new Set();
     
     this.server = null;
     this.client = null;
@@ -38,6 +54,29 @@ class GRPCAdapter extends EventEmitter {
     
     // Task handler function
     this.taskHandler = null;
+    
+    if (options.queueManager) {
+      this.trackQueueManager(options.queueManager);
+    }
+  }
+  
+  /**
+   * Report the status and progress of the tasks of a QueueManager to
+   * GetTaskStatus and StreamTaskUpdates calls
+   * @param {QueueManager} queueManager - Queue manager to follow
+   * @returns {GRPCAdapter} - Returns this for chaining
+   */
+  trackQueueManager(queueManager) {
+    queueManager.on('task-start', ({ taskId }) => this._setTaskStatus(taskId, 'running', 'Task started'));
+    queueManager.on('task-progress', ({ taskId, fraction, message }) => {
+      this._setTaskStatus(taskId, 'running', message || 'Task in progress', fraction);
+    });
+    queueManager.on('task-complete', ({ taskId }) => this._setTaskStatus(taskId, 'completed', 'Task completed', 1));
+    queueManager.on('task-error', ({ taskId, error }) => this._setTaskStatus(taskId, 'failed', error.message));
+    queueManager.on('task-cancelled', ({ taskId, reason }) => this._setTaskStatus(taskId, 'cancelled', reason));
+    queueManager.on('task-skipped', ({ taskId }) => this._setTaskStatus(taskId, 'skipped', 'Task skipped'));
+    
+    return this;
   }
   
   /**
@@ -247,7 +286,7 @@ message TaskStatusUpdate {
   
   /**
    * Submit a task to the server
-   * @param {Object} task - Task to submit
+   * @param {Object} task - Task to submit; its `idempotencyKey` is sent along as request metadata
    * @returns {Promise} - Resolves with the response
    */
   submitTask(task) {
@@ -261,7 +300,7 @@ message TaskStatusUpdate {
         task_id: task.id || `task-${Date.now()}`,
         task_type: task.type || 'default',
         payload: Buffer.from(JSON.stringify(task.payload || {})),
-        metadata: task.metadata || {}
+        metadata: this._buildMetadata(task)
       };
       
       // Submit the task
@@ -280,7 +319,7 @@ message TaskStatusUpdate {
   
   /**
    * Execute a task on the server
-   * @param {Object} task - Task to execute
+   * @param {Object} task - Task to execute; its `idempotencyKey` is sent along as request metadata
    * @returns {Promise} - Resolves with the response
    */
   executeTask(task) {
@@ -294,7 +333,7 @@ message TaskStatusUpdate {
         task_id: task.id || `task-${Date.now()}`,
         task_type: task.type || 'default',
         payload: Buffer.from(JSON.stringify(task.payload || {})),
-        metadata: task.metadata || {}
+        metadata: this._buildMetadata(task)
       };
       
       // Execute the task
@@ -381,12 +420,7 @@ message TaskStatusUpdate {
       
       this.emit('task-received', task);
       
-      // Execute the task
-      if (!this.taskHandler) {
-        throw new Error('No task handler registered');
-      }
-      
-      const result = await this.taskHandler(task);
+      const result = await this._runTask(task.id, task, this._getIdempotencyKey(call));
       
       // Send the response
       callback(null, {
@@ -415,41 +449,174 @@ message TaskStatusUpdate {
    */
   _handleSubmitTask(call, callback) {
     const request = call.request;
+    const key = this._getIdempotencyKey(call);
+    const duplicate = key !== null && this.idempotencyCache.get(key) !== null;
+    
+    this._setTaskStatus(request.task_id, 'pending', 'Task queued', 0);
+    
+    // The task is received once the submission has been answered, but it is run through the
+    // idempotency cache right away, so a resubmission in the same tick finds its key
+    const received = new Promise(resolve => setImmediate(resolve)).then(() => {
+      // Parse the payload
+      const payload = JSON.parse(request.payload.toString());
+      
+      // Create a task object
+      const task = {
+        id: request.task_id,
+        type: request.task_type,
+        payload,
+        metadata: request.metadata
+      };
+      
+      this.emit('task-received', task);
+      return task;
+    });
+    
+    this._runTask(request.task_id, received, key)
+      .then(async (result) => this.emit('task-completed', { task: await received, result }))
+      .catch(error => this.emit('task-error', { task: request, error }));
     
     // Accept the task
     callback(null, {
       task_id: request.task_id,
       accepted: true,
-      message: 'Task accepted'
+      message: duplicate ? 'Duplicate of an earlier submission' : 'Task accepted'
     });
+  }
+  
+  /**
+   * Idempotency key of a request, from the task metadata or the call metadata
+   * @private
+   * @returns {string|null}
+   */
+  _getIdempotencyKey(call) {
+    const metadata = call.request.metadata || {};
     
-    // Process the task asynchronously
-    setImmediate(async () => {
-      try {
-        // Parse the payload
-        const payload = JSON.parse(request.payload.toString());
-        
-        // Create a task object
-        const task = {
-          id: request.task_id,
-          type: request.task_type,
-          payload,
-          metadata: request.metadata
-        };
-        
-        this.emit('task-received', task);
-        
-        // Execute the task
-        if (!this.taskHandler) {
-          throw new Error('No task handler registered');
+    if (metadata[IDEMPOTENCY_KEY]) {
+      return metadata[IDEMPOTENCY_KEY];
+    }
+    
+    const [value] = call.metadata ? call.metadata.get(IDEMPOTENCY_KEY) : [];
+    return value !== undefined ? String(value) : null;
+  }
+  
+  /**
+   * Add the task's idempotency key to its request metadata
+   * @private
+   */
+  _buildMetadata(task) {
+    const metadata = { ...task.metadata };
+    
+    if (task.idempotencyKey !== undefined) {
+      metadata[IDEMPOTENCY_KEY] = String(task.idempotencyKey);
+    }
+    
+    return metadata;
+  }
+  
+  /**
+   * Run a received task with the task handler, keeping track of its status.
+   * A task with an idempotency key that is in progress or succeeded within
+   * the dedupe window is not run again; it resolves with the earlier result.
+   * @private
+   * @param {string} taskId - ID of the task
+   * @param {Object|Promise<Object>} task - The task, or a promise for it if it is still being received
+   * @param {string|null} key - Idempotency key of the task
+   */
+  async _runTask(taskId, task, key) {
+    try {
+      const result = await this._callHandler(taskId, task, key);
+      this._setTaskStatus(taskId, 'completed', 'Task completed', 1);
+      return result;
+    } catch (error) {
+      this._setTaskStatus(taskId, 'failed', error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * Call the task handler with a context whose reportProgress(fraction, message)
+   * streams progress to StreamTaskUpdates calls
+   * @private
+   */
+  async _callHandler(taskId, task, key) {
+    if (!this.taskHandler) {
+      throw new Error('No task handler registered');
+    }
+    
+    const run = async () => {
+      const received = await task;
+      this._setTaskStatus(taskId, 'running', 'Task started');
+      
+      return this.taskHandler(received, {
+        reportProgress: (fraction, message) => {
+          checkProgress(fraction);
+          this._setTaskStatus(taskId, 'running', message || 'Task in progress', fraction);
         }
-        
-        const result = await this.taskHandler(task);
-        this.emit('task-completed', { task, result });
-      } catch (error) {
-        this.emit('task-error', { task: request, error });
+      });
+    };
+    
+    if (key === null) {
+      return run();
+    }
+    
+    const { result, duplicateOf } = await this.idempotencyCache.execute(key, run, { taskId });
+    
+    if (duplicateOf) {
+      this.emit('task-deduplicated', { task: await task, key, duplicateOf });
+    } else {
+      this.idempotencyCache.save(key, { taskId, result })
+        .catch(error => this.emit('error', error));
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Record a task status and pass it on to the streams following the task.
+   * Progress is kept in percent, as sent over the wire.
+   * @private
+   * @param {number} fraction - Progress between 0 and 1 (default: unchanged)
+   */
+  _setTaskStatus(taskId, status, message, fraction) {
+    const previous = this.taskStatus.get(taskId);
+    const update = {
+      task_id: taskId,
+      status,
+      progress: fraction !== undefined ? fraction * 100 : (previous ? previous.progress : 0),
+      message: message || '',
+      timestamp: Date.now()
+    };
+    
+    // Re-inserting keeps the map ordered by last update, oldest first
+    this.taskStatus.delete(taskId);
+    this.taskStatus.set(taskId, update);
+    this._pruneTaskStatus();
+    
+    this.emit('task-status', update);
+    
+    for (const stream of this.statusStreams) {
+      stream(update);
+    }
+  }
+  
+  /**
+   * Forget the oldest finished tasks beyond the status history
+   * @private
+   */
+  _pruneTaskStatus() {
+    let excess = this.taskStatus.size - this.statusHistory;
+    
+    for (const [taskId, update] of this.taskStatus) {
+      if (excess <= 0) {
+        break;
       }
-    });
+      
+      if (FINAL_STATUSES.includes(update.status)) {
+        this.taskStatus.delete(taskId);
+        excess--;
+      }
+    }
   }
   
   /**
@@ -457,74 +624,64 @@ message TaskStatusUpdate {
    * @private
    */
   _handleGetTaskStatus(call, callback) {
-    // This would typically check a task store or database
-    // For now, we'll just return a mock response
     const taskId = call.request.task_id;
+    const update = this.taskStatus.get(taskId);
+    
+    this.emit('task-status-requested', { taskId });
+    
+    if (!update) {
+      callback({ code: grpc.status.NOT_FOUND, message: `Unknown task: ${taskId}` });
+      return;
+    }
     
-    // Mock response with a default status
     callback(null, {
       task_id: taskId,
-      status: 'completed', // Default status for mock response
-      progress: 100,
-      message: 'Task completed successfully'
+      status: update.status,
+      progress: update.progress,
+      message: update.message
     });
-    
-    this.emit('task-status-requested', { taskId });
   }
   
   /**
-   * Handle streamTaskUpdates RPC method
+   * Handle streamTaskUpdates RPC method. Streams the current status of the
+   * task, if known, and every update after it until the task has finished.
    * @private
    */
   _handleStreamTaskUpdates(call) {
     const taskId = call.request.task_id;
     this.emit('stream-started', { taskId });
     
-    // For demonstration, send a series of updates
-    // In a real implementation, this would be connected to actual task progress
-    let progress = 0;
-    const statusUpdates = ['pending', 'running', 'running', 'completed'];
-    const messages = ['Task queued', 'Task started', 'Task in progress', 'Task completed'];
-    
-    // Send initial status
-    call.write({
-      task_id: taskId,
-      status: statusUpdates[0],
-      progress: progress,
-      message: messages[0],
-      timestamp: Date.now()
-    });
-    
-    // Setup interval to send periodic updates
-    const interval = setInterval(() => {
-      progress += 33;
-      const index = Math.min(Math.floor(progress / 33), statusUpdates.length - 1);
+    const onStatus = (update) => {
+      if (update.task_id !== taskId) {
+        return;
+      }
       
-      call.write({
-        task_id: taskId,
-        status: statusUpdates[index],
-        progress: Math.min(progress, 100),
-        message: messages[index],
-        timestamp: Date.now()
-      });
+      call.write(update);
       
-      // End the stream when we reach 100%
-      if (progress >= 100) {
-        clearInterval(interval);
+      if (FINAL_STATUSES.includes(update.status)) {
+        this.statusStreams.delete(onStatus);
         call.end();
         this.emit('stream-ended', { taskId });
       }
-    }, 1000);
+    };
+    
+    this.statusStreams.add(onStatus);
+    
+    if (this.taskStatus.has(taskId)) {
+      onStatus(this.taskStatus.get(taskId));
+    }
     
     // Handle client disconnect
     call.on('cancelled', () => {
-      clearInterval(interval);
+      this.statusStreams.delete(onStatus);
       this.emit('stream-cancelled', { taskId });
     });
     
     call.on('error', (error) => {
-      clearInterval(interval);
+      this.statusStreams.delete(onStatus);
       this.emit('stream-error', { taskId, error });
     });
-  } }
+  }
+}
+
 module.exports = GRPCAdapter;
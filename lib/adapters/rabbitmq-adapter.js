@@ -1,5 +1,10 @@
 const EventEmitter = require('events');
 const amqp = require('amqplib');
+const IdempotencyCache = require('../idempotency-cache');
+
+// Message header carrying the idempotency key. The AMQP message ID is not used
+// as a key, since publishers may set it on every message for other purposes.
+const IDEMPOTENCY_HEADER = 'x-idempotency-key';
 
 class RabbitMQAdapter extends EventEmitter {
 
@@ -11,6 +16,7 @@ class RabbitMQAdapter extends EventEmitter {
     this.queueName = options.queueName || 'task-queue';
     this.durable = options.durable !== false;
     this.prefetch = options.prefetch || 1;
+    this.idempotencyCache = options.idempotencyCache || new IdempotencyCache({ window: options.dedupeWindow });
     
     this.connection = null;
     this.channel = null;
@@ -119,13 +125,16 @@ class RabbitMQAdapter extends EventEmitter {
           this.emit('task-received', content);
           
 
-          const result = await taskHandler(content);
+          const key = this._getIdempotencyKey(msg);
+          const { result, duplicateOf } = key === null
+            ? { result: await taskHandler(content), duplicateOf: null }
+            : await this._handleOnce(key, content, taskHandler);
           
 
           this.channel.ack(msg);
           
 
-          this.emit('task-completed', { task: content, result });
+          this.emit('task-completed', { task: content, result, duplicate: duplicateOf !== null });
         } catch (error) {
 
           this.channel.nack(msg, false, true);
@@ -146,6 +155,29 @@ class RabbitMQAdapter extends EventEmitter {
   }
   
 
+  _getIdempotencyKey(msg) {
+    const { headers } = msg.properties;
+    
+    return headers && headers[IDEMPOTENCY_HEADER] !== undefined ? String(headers[IDEMPOTENCY_HEADER]) : null;
+  }
+  
+
+  // A redelivered or republished message gets the result of the first delivery
+  async _handleOnce(key, content, taskHandler) {
+    const taskId = content.id !== undefined ? content.id : null;
+    const outcome = await this.idempotencyCache.execute(key, () => taskHandler(content), { taskId });
+    
+    if (outcome.duplicateOf) {
+      this.emit('task-deduplicated', { task: content, key, duplicateOf: outcome.duplicateOf });
+    } else {
+      this.idempotencyCache.save(key, { taskId, result: outcome.result })
+        .catch(error => this.emit('error', error));
+    }
+    
+    return outcome;
+  }
+  
+
   async stopConsuming() {
     if (!this.isConnected || !this.isConsumer) {
       return this;
@@ -174,11 +206,18 @@ class RabbitMQAdapter extends EventEmitter {
     try {
 
       const content = Buffer.from(JSON.stringify(task));
+      const { idempotencyKey, ...publishOptions } = options;
+      
+
+      if (idempotencyKey !== undefined) {
+        publishOptions.messageId = publishOptions.messageId || idempotencyKey;
+        publishOptions.headers = { ...publishOptions.headers, [IDEMPOTENCY_HEADER]: idempotencyKey };
+      }
       
 
       this.channel.publish(this.exchangeName, this.queueName, content, {
         persistent: this.durable,
-        ...options
+        ...publishOptions
       });
       
       this.isPublisher = true;
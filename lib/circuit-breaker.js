@@ -0,0 +1,249 @@
+/**
+ * Circuit breakers for tasks that depend on a failing service.
+ *
+ * A breaker is keyed by task tag (a task's `type` counts as a tag). It opens
+ * after `failureThreshold` failed attempts within `window` ms; while open,
+ * matching tasks are held in the queue or, in 'fail-fast' mode, failed
+ * without running. After `cooldown` ms it half-opens and lets a single probe
+ * task through: the breaker closes when the probe succeeds and opens again
+ * when it fails.
+ */
+
+const EventEmitter = require('events');
+
+const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const MODES = ['hold', 'fail-fast'];
+
+class CircuitBreaker extends EventEmitter {
+  /**
+   * Create a new CircuitBreaker
+   * @param {Object} options - Configuration options
+   * @param {number} options.failureThreshold - Failed attempts within the window that open the breaker (default: 5)
+   * @param {number} options.window - Time in ms failures are counted for (default: 60000)
+   * @param {number} options.cooldown - Time in ms the breaker stays open before it half-opens (default: 30000)
+   * @param {string} options.mode - 'hold' or 'fail-fast' (default: 'hold')
+   */
+  constructor(options = {}) {
+    super();
+
+    this.failureThreshold = options.failureThreshold !== undefined ? options.failureThreshold : 5;
+    this.window = options.window || 60000;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 30000;
+    this.mode = options.mode || 'hold';
+
+    if (!Number.isInteger(this.failureThreshold) || this.failureThreshold < 1) {
+      throw new Error('Circuit breaker failureThreshold must be a positive integer');
+    }
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown circuit breaker mode: ${this.mode}`);
+    }
+
+    this.state = CircuitState.CLOSED;
+    this.failures = [];
+    this.openedAt = null;
+    this.probeTaskId = null;
+    this.rejected = 0;
+  }
+
+
+  /**
+   * Current state; an open breaker half-opens once its cooldown has passed
+   */
+  getState(now = Date.now()) {
+    if (this.state === CircuitState.OPEN && now - this.openedAt >= this.cooldown) {
+      this._setState(CircuitState.HALF_OPEN);
+    }
+
+    return this.state;
+  }
+
+
+  /**
+   * Decide whether a task may start
+   * @returns {string} - 'pass', 'probe' (the task may start as the half-open probe), 'hold' or 'reject'
+   */
+  check(now = Date.now()) {
+    switch (this.getState(now)) {
+      case CircuitState.CLOSED:
+        return 'pass';
+      case CircuitState.HALF_OPEN:
+        return this.probeTaskId === null ? 'probe' : 'hold';
+      default:
+        return this.mode === 'fail-fast' ? 'reject' : 'hold';
+    }
+  }
+
+
+  startProbe(taskId) {
+    this.probeTaskId = taskId;
+  }
+
+
+  // A probe that ended without a verdict, e.g. because it was cancelled, makes way for the next one
+  endProbe(taskId) {
+    if (this.probeTaskId === taskId) {
+      this.probeTaskId = null;
+    }
+  }
+
+
+  recordSuccess(taskId) {
+    if (this.state === CircuitState.HALF_OPEN && this.probeTaskId === taskId) {
+      this.probeTaskId = null;
+      this.failures = [];
+      this._setState(CircuitState.CLOSED);
+    }
+  }
+
+
+  recordFailure(taskId, now = Date.now()) {
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.probeTaskId === taskId) {
+        this.probeTaskId = null;
+        this._open(now);
+      }
+
+      return;
+    }
+
+    if (this.state === CircuitState.OPEN) {
+      return;
+    }
+
+    this.failures.push(now);
+    this._pruneFailures(now);
+
+    if (this.failures.length >= this.failureThreshold) {
+      this._open(now);
+    }
+  }
+
+
+  // Time at which an open breaker half-opens, or null when it is not open
+  getRetryTime() {
+    return this.state === CircuitState.OPEN ? this.openedAt + this.cooldown : null;
+  }
+
+
+  getStats(now = Date.now()) {
+    this._pruneFailures(now);
+
+    return {
+      state: this.getState(now),
+      mode: this.mode,
+      failures: this.failures.length,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      probeTaskId: this.probeTaskId,
+      rejected: this.rejected
+    };
+  }
+
+
+  _open(now) {
+    this.openedAt = now;
+    this._setState(CircuitState.OPEN);
+  }
+
+
+  _pruneFailures(now) {
+    while (this.failures.length > 0 && now - this.failures[0] > this.window) {
+      this.failures.shift();
+    }
+  }
+
+
+  _setState(state) {
+    const previousState = this.state;
+    this.state = state;
+    this.emit('state-change', { state, previousState, failures: this.failures.length });
+  }
+}
+
+
+class CircuitBreakers extends EventEmitter {
+  /**
+   * Create a new set of circuit breakers
+   * @param {Object} options - Configuration options
+   * @param {Object} options.defaults - Breaker options for every tag; without them only the listed tags get a breaker
+   * @param {Object} options.tags - Breaker options keyed by tag, merged over the defaults
+   */
+  constructor(options = {}) {
+    super();
+
+    this.defaults = options.defaults || null;
+    this.tagOptions = options.tags || {};
+    this.breakers = new Map();
+
+    // Fail on invalid options right away rather than on the first task
+    for (const tag of Object.keys(this.tagOptions)) {
+      this.get(tag);
+    }
+  }
+
+
+  /**
+   * Breaker of a tag, created on first use
+   * @returns {CircuitBreaker|null} - Null when the tag has no breaker
+   */
+  get(tag) {
+    if (!this.breakers.has(tag)) {
+      if (!this.defaults && !this.tagOptions[tag]) {
+        return null;
+      }
+
+      const breaker = new CircuitBreaker({ ...this.defaults, ...this.tagOptions[tag] });
+      breaker.on('state-change', change => this.emit('state-change', { key: tag, ...change }));
+      this.breakers.set(tag, breaker);
+    }
+
+    return this.breakers.get(tag);
+  }
+
+
+  // Breakers that apply to a task as [tag, breaker] pairs
+  getBreakers(tags) {
+    const breakers = [];
+
+    for (const tag of tags) {
+      const breaker = this.get(tag);
+
+      if (breaker) {
+        breakers.push([tag, breaker]);
+      }
+    }
+
+    return breakers;
+  }
+
+
+  /**
+   * @param {Array} held - Tags holding back each task currently held
+   * @returns {Object} - Breaker stats keyed by tag
+   */
+  getStats(held = []) {
+    const now = Date.now();
+    const stats = {};
+
+    for (const [tag, breaker] of this.breakers.entries()) {
+      stats[tag] = {
+        ...breaker.getStats(now),
+        held: held.filter(tags => tags.includes(tag)).length
+      };
+    }
+
+    return stats;
+  }
+}
+
+module.exports = {
+  CircuitState,
+  CircuitBreaker,
+  CircuitBreakers
+};
@@ -0,0 +1,174 @@
+/**
+ * CronExpression - Parser for five-field cron expressions
+ * (minute hour day-of-month month day-of-week), evaluated in local time.
+ *
+ * Fields accept `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`),
+ * lists (`1,15`) and month and weekday names (`jan`, `mon`). Day-of-week 0
+ * and 7 are Sunday. The macros @yearly, @monthly, @weekly, @daily and @hourly
+ * are supported as well.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// No schedule repeats less often than every 8 years (February 29 on a given weekday aside)
+const SEARCH_YEARS = 8;
+
+class CronExpression {
+  /**
+   * @param {string} expression - Cron expression or macro
+   * @throws {Error} - When the expression cannot be parsed
+   */
+  constructor(expression) {
+    if (typeof expression !== 'string') {
+      throw new Error('Cron expression must be a string');
+    }
+
+    this.expression = expression.trim();
+
+    const parts = (MACROS[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => {
+      try {
+        return parseField(part, FIELDS[index]);
+      } catch (error) {
+        throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+      }
+    });
+
+    if (weekdays.has(7)) {
+      weekdays.add(0);
+    }
+
+    this.minutes = minutes;
+    this.hours = hours;
+    this.days = days;
+    this.months = months;
+    this.weekdays = weekdays;
+    // Like cron, a restricted day of month and day of week match when either does
+    this.anyDay = parts[2] === '*';
+    this.anyWeekday = parts[4] === '*';
+  }
+
+
+  /**
+   * First time the expression fires after the given time
+   * @param {Date|number} after - Exclusive lower bound
+   * @returns {Date|null} - Null when the expression never fires (e.g. February 30)
+   */
+  next(after = Date.now()) {
+    const date = new Date(after);
+    const lastYear = date.getFullYear() + SEARCH_YEARS;
+
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    while (date.getFullYear() <= lastYear) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this._matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+
+    return null;
+  }
+
+
+  _matchesDay(date) {
+    const day = this.days.has(date.getDate());
+    const weekday = this.weekdays.has(date.getDay());
+
+    if (this.anyDay || this.anyWeekday) {
+      return day && weekday;
+    }
+
+    return day || weekday;
+  }
+
+
+  toString() {
+    return this.expression;
+  }
+}
+
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const item of text.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start;
+    let end;
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step "${stepText}" in ${field.name}`);
+    }
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      const bounds = range.split('-');
+
+      if (bounds.length > 2) {
+        throw new Error(`invalid range "${range}" in ${field.name}`);
+      }
+
+      start = parseValue(bounds[0], field);
+      end = bounds.length === 2 ? parseValue(bounds[1], field) : (stepText === undefined ? start : field.max);
+    }
+
+    if (start > end) {
+      throw new Error(`invalid range "${range}" in ${field.name}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+
+function parseValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = nameIndex === -1 ? Number(text) : nameIndex + field.offset;
+
+  if (text === '' || !Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`"${text}" is not a valid ${field.name}`);
+  }
+
+  return value;
+}
+
+module.exports = CronExpression;
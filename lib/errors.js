@@ -0,0 +1,109 @@
+/**
+ * Error types raised by the queue while executing tasks and loading graphs.
+ */
+
+class TaskTimeoutError extends Error {
+  constructor(taskId, timeout) {
+    super(`Task ${taskId} timed out after ${timeout}ms`);
+    this.name = 'TaskTimeoutError';
+    this.code = 'ETASKTIMEOUT';
+    this.taskId = taskId;
+    this.timeout = timeout;
+  }
+}
+
+
+class TaskCancelledError extends Error {
+  constructor(taskId, reason = 'Task was cancelled') {
+    super(`Task ${taskId} cancelled: ${reason}`);
+    this.name = 'TaskCancelledError';
+    this.code = 'ETASKCANCELLED';
+    this.taskId = taskId;
+    this.reason = reason;
+  }
+}
+
+
+class RunFailedError extends Error {
+  constructor(report) {
+    super(`Run ${report.status}: ${report.stats.failed} failed, ${report.stats.cancelled} cancelled, ${report.stats.skipped} skipped`);
+    this.name = 'RunFailedError';
+    this.code = 'ERUNFAILED';
+    this.report = report;
+  }
+}
+
+
+class GraphDefinitionError extends Error {
+  constructor(message, { taskId = null, field = null } = {}) {
+    super(message);
+    this.name = 'GraphDefinitionError';
+    this.code = 'EGRAPHDEFINITION';
+    this.taskId = taskId;
+    this.field = field;
+  }
+}
+
+
+class GraphValidationError extends Error {
+  constructor(report) {
+    const errors = report.issues.filter(issue => issue.severity === 'error');
+    const problems = (errors.length > 0 ? errors : report.issues).map(issue => issue.message);
+    super(`Graph validation failed: ${problems.join('; ')}`);
+    this.name = 'GraphValidationError';
+    this.code = 'EGRAPHINVALID';
+    this.report = report;
+  }
+}
+
+
+class WorkerCrashedError extends Error {
+  constructor(taskId, cause, exitCode) {
+    const detail = cause ? cause.message : `exit code ${exitCode}`;
+    super(`Worker running task ${taskId} crashed: ${detail}`);
+    this.name = 'WorkerCrashedError';
+    this.code = 'EWORKERCRASHED';
+    this.taskId = taskId;
+    this.cause = cause;
+    this.exitCode = exitCode;
+  }
+}
+
+
+class ProcessExitedError extends Error {
+  constructor(taskId, exitCode, signal, outOfMemory = false) {
+    const detail = outOfMemory
+      ? 'ran out of memory'
+      : (signal ? `was killed by ${signal}` : `exited with code ${exitCode}`);
+    super(`Process running task ${taskId} ${detail}`);
+    this.name = 'ProcessExitedError';
+    this.code = 'EPROCESSEXITED';
+    this.taskId = taskId;
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.outOfMemory = outOfMemory;
+  }
+}
+
+
+class CircuitOpenError extends Error {
+  constructor(taskId, circuit, cause = null) {
+    super(`Task ${taskId} was not run: circuit ${circuit} is open`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.taskId = taskId;
+    this.circuit = circuit;
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  TaskTimeoutError,
+  TaskCancelledError,
+  RunFailedError,
+  GraphDefinitionError,
+  GraphValidationError,
+  WorkerCrashedError,
+  ProcessExitedError,
+  CircuitOpenError
+};
@@ -0,0 +1,200 @@
+/**
+ * Validation of declarative graph definitions, as produced by
+ * TaskGraph#toJSON and accepted by TaskGraph.fromJSON.
+ *
+ * A definition has a `tasks` list (or an object keyed by task ID). Every task
+ * names a registered `handler` (or a `module` in worker mode) and may list its
+ * `dependencies` plus the serializable task options below.
+ */
+
+const RetryPolicy = require('./retry-policy');
+const { GraphDefinitionError } = require('./errors');
+
+// Serializable task options and a check for each; a check returns a problem description or null
+const OPTION_FIELDS = {
+  params: (value) => isPlainObject(value) ? null : 'must be an object',
+  mode: (value) => value === 'worker' || value === 'process' ? null : 'must be "worker" or "process"',
+  module: (value) => typeof value === 'string' && value !== '' ? null : 'must be a module path',
+  exportName: (value) => typeof value === 'string' ? null : 'must be a string',
+  memoryLimit: (value) => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+  maxOutput: (value) => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+  retry: checkRetry,
+  timeout: (value) => isPositiveNumber(value) ? null : 'must be a positive number',
+  priority: (value) => Number.isFinite(value) ? null : 'must be a number',
+  estimatedDuration: (value) => isPositiveNumber(value) ? null : 'must be a positive number',
+  tags: (value) => Array.isArray(value) && value.every(tag => typeof tag === 'string') ? null : 'must be a list of strings',
+  type: (value) => typeof value === 'string' ? null : 'must be a string',
+  concurrencyKey: (value) => typeof value === 'string' ? null : 'must be a string',
+  concurrencyLimit: (value) => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+  group: (value) => typeof value === 'string' && value !== '' ? null : 'must be a pool name',
+  resources: checkResources,
+  deadline: (value) => isPositiveNumber(value) ? null : 'must be a positive number',
+  runAt: (value) => (typeof value === 'string' || Number.isFinite(value) || value instanceof Date) &&
+    !Number.isNaN(new Date(value).getTime())
+    ? null
+    : 'must be a date, a date string or a timestamp in ms',
+  delay: (value) => Number.isFinite(value) && value >= 0 ? null : 'must be a non-negative number',
+  resultScope: (value) => value === 'dependencies' || value === 'ancestors' ? null : 'must be "dependencies" or "ancestors"',
+  cascadeSkip: (value) => typeof value === 'boolean' ? null : 'must be a boolean',
+  resumable: (value) => typeof value === 'boolean' ? null : 'must be a boolean',
+  idempotencyKey: (value) => typeof value === 'string' && value !== '' ? null : 'must be a non-empty string',
+  parentId: (value) => typeof value === 'string' ? null : 'must be a string',
+  description: (value) => typeof value === 'string' ? null : 'must be a string'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveNumber(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+function checkResources(value) {
+  if (!isPlainObject(value)) {
+    return 'must be an object';
+  }
+
+  const invalid = Object.keys(value).find(pool => !(Number.isInteger(value[pool]) && value[pool] >= 0));
+  return invalid ? `${invalid} must be a non-negative integer` : null;
+}
+
+function checkRetry(value) {
+  if (!isPlainObject(value)) {
+    return 'must be an object';
+  }
+
+  if (value.retryOn !== undefined) {
+    return 'cannot define retryOn in a declarative definition';
+  }
+
+  if (value.maxAttempts !== undefined && !(Number.isInteger(value.maxAttempts) && value.maxAttempts > 0)) {
+    return 'maxAttempts must be a positive integer';
+  }
+
+  try {
+    new RetryPolicy(value);
+  } catch (error) {
+    return `is invalid: ${error.message}`;
+  }
+
+  return null;
+}
+
+
+/**
+ * Validate a definition and bring it into a single shape
+ * @param {Object} definition - Parsed graph definition
+ * @param {HandlerRegistry} registry - Registry the handlers are looked up in
+ * @returns {Array} - Tasks as { id, handler, options, dependencies: [{ id, optional }] } in definition order
+ * @throws {GraphDefinitionError} - Pointing at the offending task and field
+ */
+function normalizeDefinition(definition, registry) {
+  if (!isPlainObject(definition)) {
+    throw new GraphDefinitionError('Graph definition must be an object', { field: 'tasks' });
+  }
+
+  let entries;
+
+  if (Array.isArray(definition.tasks)) {
+    entries = definition.tasks;
+  } else if (isPlainObject(definition.tasks)) {
+    entries = Object.entries(definition.tasks).map(([id, task]) => ({ id, ...task }));
+  } else {
+    throw new GraphDefinitionError('Graph definition must have a tasks list', { field: 'tasks' });
+  }
+
+  const tasks = [];
+  const ids = new Set();
+
+  entries.forEach((entry, index) => {
+    if (!isPlainObject(entry)) {
+      throw new GraphDefinitionError(`Task at index ${index} must be an object`, { field: 'tasks' });
+    }
+
+    const { id, handler, dependencies = [], ...rest } = entry;
+    const fail = (field, problem) => {
+      throw new GraphDefinitionError(`Task ${id}: ${field} ${problem}`, { taskId: id, field });
+    };
+
+    if (typeof id !== 'string' || id === '') {
+      throw new GraphDefinitionError(`Task at index ${index}: id must be a non-empty string`, { field: 'id' });
+    }
+
+    if (ids.has(id)) {
+      fail('id', 'is used by more than one task');
+    }
+
+    if (rest.mode !== undefined) {
+      // Worker and process tasks load their handler from a module instead of the registry
+      if (handler !== undefined) {
+        fail('handler', `cannot be combined with mode "${rest.mode}"`);
+      }
+
+      if (rest.module === undefined) {
+        fail('module', `is required for mode "${rest.mode}"`);
+      }
+    } else if (typeof handler !== 'string' || handler === '') {
+      fail('handler', 'must name a registered handler');
+    } else if (!registry || !registry.has(handler)) {
+      fail('handler', `refers to unknown handler "${handler}"`);
+    }
+
+    if (!Array.isArray(dependencies)) {
+      fail('dependencies', 'must be a list');
+    }
+
+    const options = {};
+
+    for (const [field, value] of Object.entries(rest)) {
+      if (!OPTION_FIELDS[field]) {
+        fail(field, 'is not a known task field');
+      }
+
+      const problem = OPTION_FIELDS[field](value);
+
+      if (problem) {
+        fail(field, problem);
+      }
+
+      options[field] = value;
+    }
+
+    tasks.push({
+      id,
+      handler,
+      options,
+      dependencies: dependencies.map((dependency) => {
+        if (typeof dependency === 'string') {
+          return { id: dependency, optional: false };
+        }
+
+        if (isPlainObject(dependency) && typeof dependency.task === 'string') {
+          return { id: dependency.task, optional: Boolean(dependency.optional) };
+        }
+
+        return fail('dependencies', 'must contain task IDs or { task, optional } objects');
+      })
+    });
+
+    ids.add(id);
+  });
+
+  for (const task of tasks) {
+    for (const dependency of task.dependencies) {
+      if (!ids.has(dependency.id)) {
+        throw new GraphDefinitionError(`Task ${task.id}: dependencies refers to unknown task "${dependency.id}"`, {
+          taskId: task.id,
+          field: 'dependencies'
+        });
+      }
+    }
+  }
+
+  return tasks;
+}
+
+module.exports = {
+  OPTION_FIELDS,
+  normalizeDefinition
+};
@@ -0,0 +1,59 @@
+/**
+ * Loads task graphs from declarative YAML or JSON files.
+ *
+ * YAML support needs the optional `js-yaml` package.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TaskGraph = require('./task-graph');
+const { GraphDefinitionError } = require('./errors');
+
+function loadYaml() {
+  try {
+    return require('js-yaml');
+  } catch (error) {
+    throw new Error('Loading YAML graph definitions requires the js-yaml package: npm install js-yaml');
+  }
+}
+
+
+/**
+ * Parse the text of a graph definition
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {Object} - Parsed definition
+ */
+function parseGraphDefinition(text, format = 'json') {
+  if (format !== 'json' && format !== 'yaml') {
+    throw new Error(`Unknown graph definition format: ${format}`);
+  }
+
+  const yaml = format === 'yaml' ? loadYaml() : null;
+
+  try {
+    return yaml ? yaml.load(text, { schema: yaml.CORE_SCHEMA }) : JSON.parse(text);
+  } catch (error) {
+    throw new GraphDefinitionError(`Invalid ${format.toUpperCase()} graph definition: ${error.message}`);
+  }
+}
+
+
+/**
+ * Load a graph from a definition file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @param {HandlerRegistry} registry - Registry holding the referenced handlers
+ * @returns {Promise<TaskGraph>}
+ */
+async function loadGraph(filePath, registry) {
+  const extension = path.extname(filePath).toLowerCase();
+  const format = extension === '.yaml' || extension === '.yml' ? 'yaml' : 'json';
+  const text = await fs.promises.readFile(filePath, 'utf8');
+
+  return TaskGraph.fromJSON(parseGraphDefinition(text, format), registry);
+}
+
+module.exports = {
+  parseGraphDefinition,
+  loadGraph
+};
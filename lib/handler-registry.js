@@ -0,0 +1,54 @@
+/**
+ * HandlerRegistry - Named task functions that declarative graph definitions
+ * refer to by name.
+ */
+class HandlerRegistry {
+  constructor(handlers = {}) {
+    this.handlers = new Map();
+
+    for (const [name, fn] of Object.entries(handlers)) {
+      this.register(name, fn);
+    }
+  }
+
+
+  /**
+   * Register a task function under a name
+   * @param {string} name - Name used by the `handler` field of task definitions
+   * @param {Function} fn - Called as fn(task, context) like any task function
+   * @returns {HandlerRegistry} - Returns this for chaining
+   */
+  register(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Handler ${name} must be a function`);
+    }
+
+    if (this.handlers.has(name)) {
+      throw new Error(`Handler ${name} is already registered`);
+    }
+
+    this.handlers.set(name, fn);
+    return this;
+  }
+
+
+  has(name) {
+    return this.handlers.has(name);
+  }
+
+
+  get(name) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`Handler ${name} is not registered`);
+    }
+
+    return this.handlers.get(name);
+  }
+
+
+  getNames() {
+    return Array.from(this.handlers.keys());
+  }
+}
+
+module.exports = HandlerRegistry;
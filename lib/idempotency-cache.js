@@ -0,0 +1,165 @@
+/**
+ * IdempotencyCache - Remembers work done under an idempotency key for a
+ * dedupe window, so that a duplicate submission gets the result of the first
+ * one instead of running again.
+ *
+ * Work in progress is only known to the process doing it. Results written
+ * with save() also go to the state store, if one is given, so that duplicates
+ * are recognized across runs and restarts. Failed work is forgotten, so it
+ * can be submitted again.
+ */
+
+const StateStore = require('./state-stores/state-store');
+
+const DEFAULT_WINDOW = 24 * 60 * 60 * 1000;
+
+const KEY_METHODS = ['saveIdempotencyRecord', 'loadIdempotencyRecord'];
+
+// Custom stores may only implement the run methods, inheriting the throwing base versions of these
+function supportsKeys(store) {
+  return KEY_METHODS.every(method => (
+    typeof store[method] === 'function' && store[method] !== StateStore.prototype[method]
+  ));
+}
+
+class IdempotencyCache {
+  /**
+   * Create a new IdempotencyCache
+   * @param {Object} options - Configuration options
+   * @param {StateStore} options.store - Store that results are persisted to (default: none); a store
+   *   without idempotency record methods is not used, and keys are only remembered in memory
+   * @param {number} options.window - How long in ms after it succeeded a key is remembered (default: 24 hours)
+   */
+  constructor(options = {}) {
+    this.store = options.store && supportsKeys(options.store) ? options.store : null;
+    this.window = options.window !== undefined ? options.window : DEFAULT_WINDOW;
+    this.entries = new Map();
+  }
+
+
+  /**
+   * Run `fn` unless work under the same key is in progress or succeeded within
+   * the window, in which case its result is used
+   * @param {string} key - Idempotency key
+   * @param {Function} fn - Does the work and returns (a promise for) its result
+   * @param {Object} info - Description of the work kept with the key, e.g. { taskId, runId }
+   * @returns {Promise<Object>} - { result, duplicateOf }, where duplicateOf is the info of the
+   *   work whose result was used, or null if `fn` ran
+   */
+  execute(key, fn, info = {}) {
+    const entry = this.get(key);
+
+    if (entry) {
+      return entry.promise.then(result => ({ result, duplicateOf: entry.info }));
+    }
+
+    let duplicateOf = null;
+    const promise = this.load(key).then((record) => {
+      if (record) {
+        duplicateOf = { taskId: record.taskId, runId: record.runId };
+        return record.result;
+      }
+
+      return fn();
+    });
+
+    this.track(key, promise, info);
+
+    return promise.then(result => ({ result, duplicateOf }));
+  }
+
+
+  /**
+   * Remember work in progress under a key. The key expires `window` ms after
+   * the work succeeded and is forgotten right away if it fails.
+   * @param {string} key - Idempotency key
+   * @param {Promise} promise - Result of the work
+   * @param {Object} info - Description of the work
+   */
+  track(key, promise, info = {}) {
+    const entry = { promise, info, completedAt: null };
+
+    this._prune();
+    this.entries.set(key, entry);
+
+    promise.then(
+      () => {
+        entry.completedAt = Date.now();
+      },
+      () => {
+        if (this.entries.get(key) === entry) {
+          this.entries.delete(key);
+        }
+      }
+    );
+  }
+
+
+  /**
+   * Work remembered in memory under a key, if it is in progress or has not expired
+   * @param {string} key - Idempotency key
+   * @returns {Object|null} - { promise, info, completedAt }
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (entry && this._isExpired(entry.completedAt)) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry || null;
+  }
+
+
+  /**
+   * Look up a persisted result that has not expired
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} - { key, taskId, runId, result, completedAt }
+   */
+  async load(key) {
+    if (!this.store) {
+      return null;
+    }
+
+    const record = await this.store.loadIdempotencyRecord(key);
+    return record && !this._isExpired(record.completedAt) ? record : null;
+  }
+
+
+  /**
+   * Persist the result of work done under a key
+   * @param {string} key - Idempotency key
+   * @param {Object} record - { taskId, runId, result }
+   * @returns {Promise}
+   */
+  async save(key, record) {
+    if (this.store) {
+      await this.store.saveIdempotencyRecord(key, { key, ...record, completedAt: Date.now() });
+    }
+  }
+
+
+  clear() {
+    this.entries.clear();
+  }
+
+
+  _isExpired(completedAt) {
+    return completedAt !== null && Date.now() - completedAt > this.window;
+  }
+
+
+  // Entries mostly complete in the order they were added, so expired ones collect at the front
+  _prune() {
+    for (const [key, entry] of this.entries) {
+      if (entry.completedAt === null || !this._isExpired(entry.completedAt)) {
+        break;
+      }
+
+      this.entries.delete(key);
+    }
+  }
+}
+
+module.exports = IdempotencyCache;
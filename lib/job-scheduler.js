@@ -0,0 +1,426 @@
+/**
+ * JobScheduler - Starts a fresh run of a graph template whenever a cron
+ * expression fires, replacing an external cron wrapped around
+ * QueueManager#start.
+ *
+ * Every run gets its own TaskGraph, built from the template, and its own
+ * QueueManager. Overlap policies decide what happens when a run is due while
+ * the previous one is still going, and catch-up policies what happens to runs
+ * that were missed, e.g. while the process was down.
+ */
+
+const EventEmitter = require('events');
+const TaskGraph = require('./task-graph');
+const QueueManager = require('./queue-manager');
+const CronExpression = require('./cron');
+const { getTimerDelay } = require('./timers');
+
+const OVERLAP_POLICIES = ['skip', 'queue', 'cancel-previous'];
+const CATCH_UP_POLICIES = ['none', 'latest', 'all'];
+
+class JobScheduler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.queueOptions - QueueManager options for every run
+   * @param {number} options.misfireThreshold - How late in ms a run may start before it counts as missed (default: 60000)
+   * @param {number} options.maxCatchUp - Most missed runs started with the 'all' catch-up policy (default: 10)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.queueOptions = options.queueOptions || {};
+    this.misfireThreshold = options.misfireThreshold !== undefined ? options.misfireThreshold : 60000;
+    this.maxCatchUp = options.maxCatchUp !== undefined ? options.maxCatchUp : 10;
+    this.schedules = new Map();
+    this.isRunning = false;
+  }
+
+
+  /**
+   * Add a recurring job
+   * @param {string} name - Unique schedule name
+   * @param {Object} options
+   * @param {string} options.cron - Cron expression
+   * @param {Function|Object} options.graph - Function returning a new TaskGraph for every run, or a graph definition
+   * @param {HandlerRegistry} options.registry - Registry for a graph definition
+   * @param {string} options.overlap - 'skip', 'queue' or 'cancel-previous' (default: 'skip')
+   * @param {string} options.catchUp - 'none', 'latest' or 'all' (default: 'none')
+   * @param {Date|number} options.lastRunAt - When the job last ran, to catch up on runs missed since
+   * @param {Object} options.queueOptions - QueueManager options, merged over the scheduler's
+   * @param {boolean} options.paused - Add the schedule paused (default: false)
+   * @returns {JobScheduler} - Returns this for chaining
+   */
+  schedule(name, options = {}) {
+    if (this.schedules.has(name)) {
+      throw new Error(`Schedule ${name} already exists`);
+    }
+
+    const { overlap = 'skip', catchUp = 'none' } = options;
+
+    if (typeof options.graph !== 'function' && (options.graph === null || typeof options.graph !== 'object')) {
+      throw new Error(`Schedule ${name} needs a graph function or definition`);
+    }
+
+    if (!OVERLAP_POLICIES.includes(overlap)) {
+      throw new Error(`Unknown overlap policy: ${overlap}`);
+    }
+
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new Error(`Unknown catch-up policy: ${catchUp}`);
+    }
+
+    const lastRunAt = options.lastRunAt !== undefined ? new Date(options.lastRunAt).getTime() : null;
+
+    const entry = {
+      name,
+      cron: new CronExpression(options.cron),
+      graph: options.graph,
+      registry: options.registry,
+      overlap,
+      catchUp,
+      queueOptions: options.queueOptions || {},
+      paused: Boolean(options.paused),
+      cursor: lastRunAt,
+      timer: null,
+      nextRunAt: null,
+      lastRunAt,
+      lastStatus: null,
+      runCount: 0,
+      active: [],
+      pending: []
+    };
+
+    this.schedules.set(name, entry);
+
+    if (this.isRunning && !entry.paused) {
+      this._tick(entry);
+    }
+
+    return this;
+  }
+
+
+  /**
+   * Remove a schedule. Runs that already started are left to finish.
+   * @param {string} name - Schedule name
+   * @returns {boolean} - Whether the schedule existed
+   */
+  unschedule(name) {
+    const entry = this.schedules.get(name);
+
+    if (!entry) {
+      return false;
+    }
+
+    clearTimeout(entry.timer);
+    this.schedules.delete(name);
+    this.emit('unscheduled', { name });
+
+    return true;
+  }
+
+
+  /**
+   * Start firing schedules, first catching up on runs missed since each
+   * schedule's `lastRunAt`
+   * @returns {JobScheduler} - Returns this for chaining
+   */
+  start() {
+    if (this.isRunning) {
+      return this;
+    }
+
+    this.isRunning = true;
+
+    for (const entry of this.schedules.values()) {
+      if (!entry.paused) {
+        this._tick(entry);
+      }
+    }
+
+    this.emit('started');
+
+    return this;
+  }
+
+
+  /**
+   * Stop firing schedules
+   * @param {boolean} cancelRuns - Also stop the runs in progress (default: false)
+   * @returns {JobScheduler} - Returns this for chaining
+   */
+  stop(cancelRuns = false) {
+    this.isRunning = false;
+
+    for (const entry of this.schedules.values()) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.nextRunAt = null;
+      entry.pending = [];
+
+      if (cancelRuns) {
+        for (const run of entry.active) {
+          run.queueManager.stop(false);
+        }
+      }
+    }
+
+    this.emit('stopped');
+
+    return this;
+  }
+
+
+  /**
+   * Stop firing a schedule. Runs missed while paused are not caught up on.
+   * @param {string} name - Schedule name
+   * @returns {JobScheduler} - Returns this for chaining
+   */
+  pause(name) {
+    const entry = this._getEntry(name);
+
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.nextRunAt = null;
+    entry.paused = true;
+    this.emit('schedule-paused', { name });
+
+    return this;
+  }
+
+
+  resume(name) {
+    const entry = this._getEntry(name);
+
+    if (!entry.paused) {
+      return this;
+    }
+
+    entry.paused = false;
+    entry.cursor = Date.now();
+    this.emit('schedule-resumed', { name });
+
+    if (this.isRunning) {
+      this._arm(entry);
+    }
+
+    return this;
+  }
+
+
+  /**
+   * Run a job now, outside its schedule. The overlap policy still applies.
+   * @param {string} name - Schedule name
+   * @returns {string|null} - ID of the started run, or null if it was skipped or queued
+   */
+  trigger(name) {
+    return this._launch(this._getEntry(name), Date.now(), 'manual');
+  }
+
+
+  get(name) {
+    return this._describe(this._getEntry(name));
+  }
+
+
+  /**
+   * Describe every schedule: its policies, next and last run and the runs in progress
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.schedules.values(), entry => this._describe(entry));
+  }
+
+
+  _describe(entry) {
+    return {
+      name: entry.name,
+      cron: entry.cron.toString(),
+      overlap: entry.overlap,
+      catchUp: entry.catchUp,
+      paused: entry.paused,
+      nextRunAt: entry.nextRunAt,
+      lastRunAt: entry.lastRunAt,
+      lastStatus: entry.lastStatus,
+      runCount: entry.runCount,
+      queued: entry.pending.length,
+      active: entry.active.map(run => ({
+        runId: run.runId,
+        scheduledAt: run.scheduledAt,
+        startedAt: run.startedAt,
+        trigger: run.trigger,
+        stats: run.queueManager.getStats()
+      }))
+    };
+  }
+
+
+  _getEntry(name) {
+    const entry = this.schedules.get(name);
+
+    if (!entry) {
+      throw new Error(`Unknown schedule: ${name}`);
+    }
+
+    return entry;
+  }
+
+
+  // Start the runs that are due since the schedule was last looked at, then wait for the next one
+  _tick(entry) {
+    const now = Date.now();
+
+    if (entry.cursor === null) {
+      entry.cursor = now;
+    }
+
+    const due = [];
+
+    for (let time = entry.cron.next(entry.cursor); time && time.getTime() <= now; time = entry.cron.next(time)) {
+      due.push(time.getTime());
+
+      // Only the latest runs can still be started, however long the job was down
+      if (due.length > this.maxCatchUp + 1) {
+        due.shift();
+      }
+    }
+
+    if (due.length > 0) {
+      entry.cursor = due[due.length - 1];
+    }
+
+    const onTime = due.filter(time => now - time <= this.misfireThreshold);
+    const missed = due.filter(time => now - time > this.misfireThreshold);
+    let catchUp = [];
+
+    if (entry.catchUp === 'all') {
+      catchUp = missed.slice(-this.maxCatchUp);
+    } else if (entry.catchUp === 'latest' && onTime.length === 0) {
+      catchUp = missed.slice(-1);
+    }
+
+    for (const time of missed) {
+      if (!catchUp.includes(time)) {
+        this.emit('run-missed', { name: entry.name, scheduledAt: time });
+      }
+    }
+
+    for (const time of catchUp) {
+      this._launch(entry, time, 'catch-up');
+    }
+
+    if (onTime.length > 0) {
+      this._launch(entry, onTime[onTime.length - 1], 'schedule');
+    }
+
+    this._arm(entry);
+  }
+
+
+  _arm(entry) {
+    clearTimeout(entry.timer);
+
+    const next = entry.cron.next(Math.max(entry.cursor, Date.now()));
+
+    if (!next) {
+      entry.timer = null;
+      entry.nextRunAt = null;
+      return;
+    }
+
+    entry.nextRunAt = next.getTime();
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this._tick(entry);
+    }, getTimerDelay(entry.nextRunAt));
+  }
+
+
+  // Apply the overlap policy and start a run if it allows one
+  _launch(entry, scheduledAt, trigger) {
+    if (entry.active.length > 0) {
+      if (entry.overlap === 'skip') {
+        this.emit('run-skipped', { name: entry.name, scheduledAt, trigger, reason: 'overlap' });
+        return null;
+      }
+
+      if (entry.overlap === 'queue') {
+        entry.pending.push({ scheduledAt, trigger });
+        this.emit('run-queued', { name: entry.name, scheduledAt, trigger });
+        return null;
+      }
+
+      for (const run of entry.active) {
+        this.emit('run-cancelling', { name: entry.name, runId: run.runId });
+        run.queueManager.stop(false);
+      }
+    }
+
+    return this._startRun(entry, scheduledAt, trigger);
+  }
+
+
+  _startRun(entry, scheduledAt, trigger) {
+    const runId = `${entry.name}:${new Date(scheduledAt).toISOString()}:${entry.runCount + 1}`;
+
+    entry.runCount++;
+    entry.lastRunAt = scheduledAt;
+
+    let queueManager;
+
+    try {
+      const graph = typeof entry.graph === 'function'
+        ? entry.graph({ name: entry.name, runId, scheduledAt, trigger })
+        : TaskGraph.fromJSON(entry.graph, entry.registry);
+
+      if (!(graph instanceof TaskGraph)) {
+        throw new Error(`Graph function of schedule ${entry.name} must return a TaskGraph`);
+      }
+
+      queueManager = new QueueManager(graph, { ...this.queueOptions, ...entry.queueOptions, runId });
+    } catch (error) {
+      entry.lastStatus = 'failed';
+      this.emit('run-failed', { name: entry.name, runId, scheduledAt, trigger, error, report: null });
+      this._startPending(entry);
+      return null;
+    }
+
+    const run = { runId, queueManager, scheduledAt, startedAt: Date.now(), trigger };
+
+    entry.active.push(run);
+    this.emit('run-started', { name: entry.name, runId, scheduledAt, trigger, queueManager });
+
+    queueManager.run().then(
+      report => this._finishRun(entry, run, report, null),
+      error => this._finishRun(entry, run, error.report || null, error)
+    );
+
+    return runId;
+  }
+
+
+  _finishRun(entry, run, report, error) {
+    entry.active = entry.active.filter(active => active !== run);
+    entry.lastStatus = report ? report.status : 'failed';
+
+    const event = { name: entry.name, runId: run.runId, scheduledAt: run.scheduledAt, trigger: run.trigger, report };
+
+    if (error) {
+      this.emit('run-failed', { ...event, error });
+    } else {
+      this.emit('run-complete', event);
+    }
+
+    this._startPending(entry);
+  }
+
+
+  _startPending(entry) {
+    if (entry.active.length === 0 && entry.pending.length > 0 && this.schedules.get(entry.name) === entry) {
+      const { scheduledAt, trigger } = entry.pending.shift();
+      this._startRun(entry, scheduledAt, trigger);
+    }
+  }
+}
+
+module.exports = JobScheduler;
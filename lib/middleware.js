@@ -0,0 +1,130 @@
+/**
+ * Built-in task middleware.
+ *
+ * QueueManager runs every task through a pipeline of middleware functions
+ * `async (ctx, next) => {...}`, outermost first. `next()` runs the rest of the
+ * pipeline and resolves with the result; calling it again makes another
+ * attempt. The default pipeline is `[retry(), circuitBreaker(), timeout()]`.
+ *
+ * ctx holds `taskId`, `task`, `queueManager`, `context` (what the task
+ * function receives), `signal`, the current `attempt` and a `state` object
+ * for middleware to share data in.
+ */
+
+const RetryPolicy = require('./retry-policy');
+const { TaskTimeoutError, TaskCancelledError, CircuitOpenError } = require('./errors');
+
+/**
+ * Retry failed attempts according to the queue's and the task's retry policy
+ */
+function retry() {
+  return async function retryMiddleware(ctx, next) {
+    const { taskId, task, queueManager } = ctx;
+    const retryPolicy = RetryPolicy.merge(queueManager.retry, task.retry);
+
+    while (true) {
+      try {
+        return await next();
+      } catch (error) {
+        const { attempt } = ctx;
+
+        if (error instanceof TaskCancelledError || !retryPolicy.shouldRetry(error, attempt)) {
+          throw error;
+        }
+
+        // Retrying against a service known to be down only adds to its load
+        if (ctx.openCircuit) {
+          throw new CircuitOpenError(taskId, ctx.openCircuit, error);
+        }
+
+        const delay = retryPolicy.getDelay(attempt);
+        queueManager.stats.retried++;
+        queueManager.emit('task-retry', { taskId, task, attempt: attempt + 1, delay, error });
+
+        await queueManager._delay(delay, ctx.signal);
+      }
+    }
+  };
+}
+
+
+/**
+ * Count attempt outcomes towards the circuit breakers of the task's tags, and
+ * tell outer middleware (retry) in `ctx.openCircuit` when one of them is open
+ */
+function circuitBreaker() {
+  return async function circuitBreakerMiddleware(ctx, next) {
+    const { taskId, task, queueManager } = ctx;
+    ctx.openCircuit = null;
+
+    try {
+      const result = await next();
+      queueManager._recordCircuitOutcome(taskId, task, null);
+      return result;
+    } catch (error) {
+      queueManager._recordCircuitOutcome(taskId, task, error);
+      ctx.openCircuit = queueManager._findOpenCircuit(task);
+      throw error;
+    }
+  };
+}
+
+
+/**
+ * Abort attempts that run longer than the task's `timeout` (or the queue's
+ * `taskTimeout`) with a TaskTimeoutError. A deadline caps every attempt at the
+ * time left in the run.
+ */
+function timeout() {
+  return async function timeoutMiddleware(ctx, next) {
+    const { taskId, task, queueManager } = ctx;
+    const deadline = queueManager.taskGraph.getDeadline(taskId);
+    let ms = task.timeout !== undefined ? task.timeout : queueManager.taskTimeout;
+
+    if (deadline !== null) {
+      const remaining = Math.max(0, queueManager.stats.startTime + deadline - Date.now());
+      ms = ms ? Math.min(ms, remaining) : remaining;
+    }
+
+    if (!ms && deadline === null) {
+      return next();
+    }
+
+    const outerSignal = ctx.signal;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(outerSignal.reason);
+    const timer = setTimeout(() => {
+      queueManager.stats.timedOut++;
+      queueManager.emit('task-timeout', { taskId, task, attempt: ctx.attempt, timeout: ms });
+      controller.abort(new TaskTimeoutError(taskId, ms));
+    }, ms);
+
+    if (outerSignal.aborted) {
+      onAbort();
+    } else {
+      outerSignal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    ctx.signal = controller.signal;
+
+    try {
+      return await next();
+    } finally {
+      clearTimeout(timer);
+      outerSignal.removeEventListener('abort', onAbort);
+      ctx.signal = outerSignal;
+    }
+  };
+}
+
+
+function defaultMiddleware() {
+  return [retry(), circuitBreaker(), timeout()];
+}
+
+module.exports = {
+  retry,
+  circuitBreaker,
+  timeout,
+  defaultMiddleware
+};
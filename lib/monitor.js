@@ -10,6 +10,7 @@ class Monitor extends EventEmitter {
     super();
     
     this.queueManager = queueManager;
+    this.scheduler = options.scheduler || null;
     this.port = options.port || 3000;
     this.enableApi = options.enableApi !== false;
     this.enableSockets = options.enableSockets !== false;
@@ -129,6 +130,31 @@ class Monitor extends EventEmitter {
       this._broadcastEvent('task-error', data);
     });
     
+    qm.on('task-retry', (data) => {
+      this.emit('task-retry', data);
+      this._broadcastEvent('task-retry', data);
+    });
+    
+    qm.on('task-cancelled', (data) => {
+      this.emit('task-cancelled', data);
+      this._broadcastEvent('task-cancelled', data);
+    });
+    
+    qm.on('task-skipped', (data) => {
+      this.emit('task-skipped', data);
+      this._broadcastEvent('task-skipped', data);
+    });
+    
+    qm.on('task-progress', (data) => {
+      this.emit('task-progress', data);
+      this._broadcastEvent('task-progress', data);
+    });
+    
+    qm.on('task-rate-limited', (data) => {
+      this.emit('task-rate-limited', data);
+      this._broadcastEvent('task-rate-limited', data);
+    });
+    
 
     qm.on('queue-complete', (stats) => {
       this.emit('queue-complete', stats);
@@ -160,6 +186,40 @@ class Monitor extends EventEmitter {
       this.emit('concurrency-changed', { concurrency });
       this._broadcastEvent('concurrency-changed', { concurrency });
     });
+    
+    qm.on('pool-capacity-changed', (data) => {
+      this.emit('pool-capacity-changed', data);
+      this._broadcastEvent('pool-capacity-changed', data);
+    });
+    
+    for (const event of ['circuit-open', 'circuit-half-open', 'circuit-closed']) {
+      qm.on(event, (data) => {
+        this.emit(event, data);
+        this._broadcastEvent(event, data);
+      });
+    }
+    
+
+    if (this.scheduler) {
+      const runEvents = ['run-started', 'run-complete', 'run-failed', 'run-skipped', 'run-queued', 'run-missed'];
+      
+      for (const event of runEvents) {
+        this.scheduler.on(event, ({ name, runId, scheduledAt, trigger, report, error }) => {
+          // Run events carry the run's QueueManager, which cannot be sent to clients
+          const data = {
+            name,
+            runId: runId || null,
+            scheduledAt,
+            trigger: trigger || null,
+            status: report ? report.status : null,
+            error: error ? error.message : null
+          };
+          
+          this.emit(`schedule-${event}`, data);
+          this._broadcastEvent(`schedule-${event}`, data);
+        });
+      }
+    }
   }
   
 
@@ -184,16 +244,60 @@ class Monitor extends EventEmitter {
     });
     
     app.get('/api/tasks', (req, res) => {
-      const tasks = Array.from(this.queueManager.taskGraph.getAllTasks().entries())
-        .map(([id, task]) => ({
-          id,
-          completed: this.queueManager.taskGraph.completed.has(id),
-          running: this.queueManager.running.has(id),
-          dependencies: this.queueManager.taskGraph.getDependencies(id),
-          dependents: this.queueManager.taskGraph.getDependents(id)
-        }));
+      res.json(this.getTaskTree());
+    });
+    
+    app.get('/api/schedules', (req, res) => {
+      if (!this.scheduler) {
+        return res.status(404).json({ error: 'No scheduler attached' });
+      }
+      
+      res.json(this.scheduler.list());
+    });
+    
+    app.get('/api/schedules/:name', (req, res) => {
+      if (!this.scheduler || !this.scheduler.schedules.has(req.params.name)) {
+        return res.status(404).json({ error: `Unknown schedule: ${req.params.name}` });
+      }
+      
+      res.json(this.scheduler.get(req.params.name));
+    });
+    
+    app.post('/api/schedules/:name/:action(trigger|pause|resume)', (req, res) => {
+      const { name, action } = req.params;
+      
+      if (!this.scheduler || !this.scheduler.schedules.has(name)) {
+        return res.status(404).json({ error: `Unknown schedule: ${name}` });
+      }
       
-      res.json(tasks);
+      if (action === 'trigger') {
+        return res.json({ name, runId: this.scheduler.trigger(name) });
+      }
+      
+      this.scheduler[action](name);
+      res.json(this.scheduler.get(name));
+    });
+    
+    app.get('/api/graph', (req, res) => {
+      const taskGraph = this.queueManager.taskGraph;
+      const options = {
+        colorByState: req.query.states !== 'false',
+        direction: req.query.direction
+      };
+      
+      switch (req.query.format || 'dot') {
+        case 'dot':
+          res.type('text/vnd.graphviz').send(taskGraph.toDot(options));
+          break;
+        case 'mermaid':
+          res.type('text/plain').send(taskGraph.toMermaid(options));
+          break;
+        case 'json':
+          res.json(taskGraph.toJSON());
+          break;
+        default:
+          res.status(400).json({ error: `Unknown graph format: ${req.query.format}` });
+      }
     });
     
     app.get('/api/system', async (req, res) => {
@@ -252,6 +356,17 @@ class Monitor extends EventEmitter {
       this.queueManager.setConcurrency(concurrency);
       res.json({ concurrency });
     });
+    
+    app.post('/api/control/pools/:name', express.json(), (req, res) => {
+      const { capacity } = req.body;
+      
+      if (!Number.isInteger(capacity) || capacity < 0) {
+        return res.status(400).json({ error: 'Capacity must be a non-negative integer' });
+      }
+      
+      this.queueManager.setPoolCapacity(req.params.name, capacity);
+      res.json({ pool: req.params.name, capacity });
+    });
   }
   
 
@@ -286,6 +401,12 @@ class Monitor extends EventEmitter {
         }
       });
       
+      socket.on('set-pool-capacity', ({ pool, capacity } = {}) => {
+        if (typeof pool === 'string' && Number.isInteger(capacity) && capacity >= 0) {
+          this.queueManager.setPoolCapacity(pool, capacity);
+        }
+      });
+      
       socket.on('disconnect', () => {
         this.emit('client-disconnected', { socketId: socket.id });
       });
@@ -355,6 +476,41 @@ class Monitor extends EventEmitter {
   }
   
 
+  getTaskTree() {
+    const taskGraph = this.queueManager.taskGraph;
+    const nodes = new Map();
+    const roots = [];
+    
+
+    for (const [id, task] of taskGraph.getAllTasks().entries()) {
+      nodes.set(id, {
+        id,
+        parentId: task.parentId || null,
+        state: taskGraph.getState(id),
+        completed: taskGraph.completed.has(id),
+        result: this.queueManager.getResult(id),
+        running: this.queueManager.running.has(id),
+        progress: this.queueManager.getTaskProgress(id),
+        dependencies: taskGraph.getDependencies(id),
+        dependents: taskGraph.getDependents(id),
+        subGraph: taskGraph.subGraphs.has(id) ? taskGraph.getSubGraphStats(id) : null,
+        children: []
+      });
+    }
+    
+
+    for (const node of nodes.values()) {
+      if (node.parentId && nodes.has(node.parentId)) {
+        nodes.get(node.parentId).children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+    
+    return roots;
+  }
+  
+
   getMetrics() {
     return this.metricsHistory.length > 0 
       ? this.metricsHistory[this.metricsHistory.length - 1] 
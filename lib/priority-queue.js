@@ -0,0 +1,125 @@
+/**
+ * PriorityQueue - Binary heap ordered by a comparator function.
+ * The element for which compare(a, b) < 0 against every other element is popped first.
+ */
+class PriorityQueue {
+  constructor(compare) {
+    this.compare = compare;
+    this.heap = [];
+  }
+
+
+  get size() {
+    return this.heap.length;
+  }
+
+
+  push(item) {
+    this.heap.push(item);
+    this._siftUp(this.heap.length - 1);
+    return this;
+  }
+
+
+  peek() {
+    return this.heap[0];
+  }
+
+
+  pop() {
+    if (this.heap.length === 0) {
+      return undefined;
+    }
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this._siftDown(0);
+    }
+
+    return top;
+  }
+
+
+  /**
+   * Remove every item matching the predicate
+   * @param {Function} predicate - Returns true for items to remove
+   * @returns {Array} - Removed items
+   */
+  removeWhere(predicate) {
+    const removed = [];
+    const kept = [];
+
+    for (const item of this.heap) {
+      (predicate(item) ? removed : kept).push(item);
+    }
+
+    if (removed.length > 0) {
+      this.heap = kept;
+
+      for (let i = Math.floor(this.heap.length / 2) - 1; i >= 0; i--) {
+        this._siftDown(i);
+      }
+    }
+
+    return removed;
+  }
+
+
+  clear() {
+    this.heap = [];
+    return this;
+  }
+
+
+  toArray() {
+    return this.heap.slice().sort(this.compare);
+  }
+
+
+  _siftUp(index) {
+    const heap = this.heap;
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+
+      if (this.compare(heap[index], heap[parent]) >= 0) {
+        break;
+      }
+
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+
+  _siftDown(index) {
+    const heap = this.heap;
+    const length = heap.length;
+
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (left < length && this.compare(heap[left], heap[smallest]) < 0) {
+        smallest = left;
+      }
+
+      if (right < length && this.compare(heap[right], heap[smallest]) < 0) {
+        smallest = right;
+      }
+
+      if (smallest === index) {
+        break;
+      }
+
+      [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+      index = smallest;
+    }
+  }
+}
+
+module.exports = PriorityQueue;
@@ -0,0 +1,37 @@
+/**
+ * Entry point of the child processes started by the process sandbox. Runs a
+ * single task handler and reports the outcome over IPC before exiting.
+ * Progress the handler reports is sent as it happens.
+ */
+
+const { checkProgress } = require('./progress');
+const { serializeError } = require('./serialize-error');
+
+function reportProgress(fraction, message) {
+  checkProgress(fraction);
+  process.send({ progress: { fraction, message } });
+}
+
+process.once('message', async ({ module, exportName, task, context }) => {
+  let message;
+
+  try {
+    const exported = require(module);
+    const handler = exportName ? exported[exportName] : (exported.default || exported);
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Module ${module} does not export a ${exportName ? `function ${exportName}` : 'function'}`);
+    }
+
+    message = { result: await handler(task, { ...context, reportProgress }) };
+  } catch (error) {
+    message = { error: serializeError(error) };
+  }
+
+  try {
+    process.send(message, () => process.exit(0));
+  } catch (error) {
+    // The result could not be serialized
+    process.send({ error: serializeError(error) }, () => process.exit(0));
+  }
+});
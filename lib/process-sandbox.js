@@ -0,0 +1,124 @@
+/**
+ * Runs a task handler from a module in a forked child process, isolating
+ * untrusted or leaky code from the queue's own process.
+ *
+ * Every call forks a fresh process with its own heap limit. stdout and stderr
+ * are captured, aborting the signal kills the process, and a process that
+ * dies without reporting a result fails the task with a ProcessExitedError.
+ */
+
+const path = require('path');
+const { fork } = require('child_process');
+const { ProcessExitedError } = require('./errors');
+const { deserializeError } = require('./serialize-error');
+
+const RUNNER_PATH = path.join(__dirname, 'process-runner.js');
+const DEFAULT_MAX_OUTPUT = 1024 * 1024;
+
+/**
+ * Run a handler in a child process
+ * @param {Object} job - Job to run
+ * @param {string} job.taskId - Task ID, used in error messages
+ * @param {string} job.module - Absolute path of the module exporting the handler
+ * @param {string} job.exportName - Named export to call instead of the default export
+ * @param {Object} job.task - Task definition passed to the handler
+ * @param {Object} job.context - Context passed to the handler
+ * @param {number} job.memoryLimit - Heap limit of the child in MB (--max-old-space-size)
+ * @param {number} job.maxOutput - Characters of stdout and stderr kept each (default: 1MB)
+ * @param {Function} job.onOutput - Called as onOutput(stdout, stderr) whenever output is captured
+ * @param {Function} job.onProgress - Called as onProgress(fraction, message) when the handler reports progress
+ * @param {AbortSignal} signal - Aborting kills the child
+ * @returns {Promise<Object>} - Resolves with { result, stdout, stderr }; errors carry stdout and stderr too
+ */
+function runInChildProcess(job, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const maxOutput = job.maxOutput || DEFAULT_MAX_OUTPUT;
+    const output = { stdout: '', stderr: '' };
+    let message = null;
+    let settled = false;
+
+    const child = fork(RUNNER_PATH, [], {
+      execArgv: job.memoryLimit ? [`--max-old-space-size=${job.memoryLimit}`] : [],
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+      serialization: 'advanced'
+    });
+
+    const capture = (stream) => (chunk) => {
+      if (output[stream].length < maxOutput) {
+        output[stream] = (output[stream] + chunk).slice(0, maxOutput);
+
+        if (job.onOutput) {
+          job.onOutput(output.stdout, output.stderr);
+        }
+      }
+    };
+
+    const settle = (error, result) => {
+      if (settled) {
+        return;
+      }
+
+      settled = true;
+
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (error) {
+        reject(Object.assign(error, output));
+      } else {
+        resolve({ result, ...output });
+      }
+    };
+
+    const onAbort = () => {
+      child.kill('SIGKILL');
+      settle(signal.reason);
+    };
+
+    child.stdout.setEncoding('utf8').on('data', capture('stdout'));
+    child.stderr.setEncoding('utf8').on('data', capture('stderr'));
+    child.on('message', (received) => {
+      if (received.progress) {
+        if (job.onProgress && !settled) {
+          job.onProgress(received.progress.fraction, received.progress.message);
+        }
+      } else {
+        message = received;
+      }
+    });
+    child.on('error', (error) => settle(error));
+
+    // Wait for the streams to close so the captured output is complete
+    child.on('close', (exitCode, exitSignal) => {
+      if (message && message.error) {
+        settle(deserializeError(message.error));
+      } else if (message) {
+        settle(null, message.result);
+      } else {
+        const outOfMemory = output.stderr.includes('heap out of memory');
+        settle(new ProcessExitedError(job.taskId, exitCode, exitSignal, outOfMemory));
+      }
+    });
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    child.send({ module: job.module, exportName: job.exportName, task: job.task, context: job.context }, (error) => {
+      if (error) {
+        child.kill('SIGKILL');
+        settle(error);
+      }
+    });
+  });
+}
+
+module.exports = {
+  runInChildProcess
+};
@@ -0,0 +1,16 @@
+/**
+ * Validation shared by every place a task handler can report progress:
+ * in-process tasks, worker threads, sandboxed processes and the gRPC adapter.
+ */
+
+/**
+ * Throw unless the fraction is a number between 0 and 1
+ * @param {number} fraction - Reported progress
+ */
+function checkProgress(fraction) {
+  if (typeof fraction !== 'number' || !(fraction >= 0 && fraction <= 1)) {
+    throw new Error('Progress must be a number between 0 and 1');
+  }
+}
+
+module.exports = { checkProgress };
@@ -1,4 +1,32 @@
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const TaskGraph = require('./task-graph');
+const PriorityQueue = require('./priority-queue');
+const WorkerPool = require('./worker-pool');
+const { runInChildProcess } = require('./process-sandbox');
+const { RateLimiter } = require('./rate-limiter');
+const IdempotencyCache = require('./idempotency-cache');
+const { CircuitBreakers, CircuitState } = require('./circuit-breaker');
+const { resolveScheduler } = require('./schedulers');
+const { defaultMiddleware } = require('./middleware');
+const { checkProgress } = require('./progress');
+const { getTimerDelay } = require('./timers');
+const {
+  TaskCancelledError,
+  RunFailedError,
+  GraphValidationError,
+  CircuitOpenError
+} = require('./errors');
+
+const { TaskState } = TaskGraph;
+
+const FAILURE_POLICIES = ['fail-fast', 'skip-dependents', 'continue'];
+
+const HOOKS = ['beforeStart', 'afterRun', 'onTaskStateChange'];
+
+// Queue order: lowest rank first, ties broken by the order tasks were added to the graph
+const compareEntries = (a, b) => a.rank - b.rank || a.index - b.index;
 
 class QueueManager extends EventEmitter {
 
@@ -9,20 +37,74 @@ class QueueManager extends EventEmitter {
     this.concurrency = options.concurrency || 4;
     this.autoStart = options.autoStart || false;
     this.adaptiveConcurrency = options.adaptiveConcurrency || null;
+    this.retry = options.retry || {};
+    this.taskTimeout = options.taskTimeout || null;
+    this.stopGracePeriod = options.stopGracePeriod !== undefined ? options.stopGracePeriod : 30000;
+    this.failurePolicy = options.failurePolicy || 'skip-dependents';
+    this.scheduler = resolveScheduler(options.scheduler);
+    this.learnDurations = options.learnDurations !== false;
+    this.validate = options.validate || false;
+    this.stateStore = options.stateStore || null;
+    this.runId = options.runId || crypto.randomUUID();
+    this.workerResourceLimits = options.workerResourceLimits;
+    this.pools = new Map(Object.entries(options.pools || {}));
+    this.rateLimiter = options.rateLimit || options.rateLimits
+      ? new RateLimiter({ global: options.rateLimit, tags: options.rateLimits })
+      : null;
+    this.circuitBreakers = options.circuitBreaker || options.circuitBreakers
+      ? new CircuitBreakers({ defaults: options.circuitBreaker, tags: options.circuitBreakers })
+      : null;
+    this.middleware = options.middleware || defaultMiddleware();
+    this.used = [];
+    this.hooks = Object.fromEntries(HOOKS.map(name => [name, []]));
+    
+    if (!FAILURE_POLICIES.includes(this.failurePolicy)) {
+      throw new Error(`Unknown failure policy: ${this.failurePolicy}`);
+    }
+    
+    if (!Array.isArray(this.middleware) || this.middleware.some(fn => typeof fn !== 'function')) {
+      throw new Error('Middleware must be an array of functions');
+    }
+    
+    for (const [name, fns] of Object.entries(options.hooks || {})) {
+      [].concat(fns).forEach(fn => this.hook(name, fn));
+    }
     
     this.running = new Map();
-    this.queue = [];
+    this.controllers = new Map();
+    this.attempts = new Map();
+    this.taskRecords = new Map();
+    this.queue = new PriorityQueue(compareEntries);
+    // Queued tasks that cannot start yet wait outside the main queue: in a gate per pool, rate limit
+    // bucket or circuit breaker they are blocked on, or in the delayed queue until they are due
+    this.gates = new Map();
+    this.delayed = new PriorityQueue((a, b) => a.until - b.until || compareEntries(a, b));
+    this.queued = new Set();
+    this.sequence = 0;
+    this.poolUsage = new Map();
+    this.restoredRecords = new Map();
+    this.workerPool = null;
+    this.rateLimited = new Map();
+    this.circuitHeld = new Map();
+    this.delayedUntil = new Map();
+    this.wakeTimer = null;
+    this.wakeTimerAt = 0;
+    this.storeWrites = Promise.resolve();
+    this.idempotency = options.idempotencyCache ||
+      new IdempotencyCache({ store: this.stateStore, window: options.dedupeWindow });
+    this.submittedKeys = new Map();
+    this.resultWaiters = new Map();
+    this.progress = new Map();
     this.isProcessing = false;
     this.isPaused = false;
+    this.isAborted = false;
+    this.isFinished = false;
+    this.isGraphChangePending = false;
+    this.isDrained = true;
+    this.status = 'idle';
     
 
-    this.stats = {
-      completed: 0,
-      failed: 0,
-      total: 0,
-      startTime: null,
-      endTime: null
-    };
+    this.stats = this._createStats();
     
 
     this._initEvents();
@@ -41,6 +123,132 @@ class QueueManager extends EventEmitter {
         this.setConcurrency(newConcurrency);
       });
     }
+    
+    if (this.circuitBreakers) {
+      this.circuitBreakers.on('state-change', ({ key, state, previousState, failures }) => {
+        this.emit(`circuit-${state}`, { key, previousState, failures });
+      });
+    }
+    
+
+    this.taskGraph.on('task-added', ({ taskId }) => {
+      if (this.restoredRecords.has(taskId)) {
+        this._restoreTask(taskId);
+      }
+      
+      this._onGraphChanged();
+    });
+    this.taskGraph.on('dependency-added', () => this._onGraphChanged());
+    this.taskGraph.on('task-removed', ({ taskId, task }) => {
+      this._removeFromQueue(id => id === taskId);
+      this._forgetSubmission(taskId, task, new Error(`Task ${taskId} was removed`));
+      this._onGraphChanged();
+      this._checkIdle();
+    });
+    this.taskGraph.on('state-change', change => this._onStateChange(change));
+    
+
+    if (this.stateStore) {
+      this.on('task-start', ({ taskId }) => this._saveTaskState(taskId));
+      this.on('task-complete', ({ taskId }) => this._saveTaskState(taskId));
+      this.on('task-error', ({ taskId }) => this._saveTaskState(taskId));
+      this.on('task-cancelled', ({ taskId }) => this._saveTaskState(taskId));
+      this.on('task-skipped', ({ taskId }) => this._saveTaskState(taskId));
+    }
+    
+
+    for (const event of ['task-complete', 'task-restored', 'task-error', 'task-cancelled', 'task-skipped']) {
+      this.on(event, ({ taskId }) => this._settleWaiter(taskId));
+    }
+  }
+  
+
+  /**
+   * Write the current record of a task to the state store. Writes are chained
+   * so that the store always sees transitions in order.
+   */
+  _saveTaskState(taskId) {
+    const record = this.taskRecords.get(taskId) || {};
+    const error = record.error;
+    const entry = {
+      taskId,
+      state: this.taskGraph.getState(taskId),
+      result: this.taskGraph.getResult(taskId),
+      error: error ? { name: error.name, message: error.message } : null,
+      attempts: this.getAttempts(taskId),
+      spawned: Boolean(record.spawned),
+      updatedAt: Date.now()
+    };
+    
+    this.storeWrites = this.storeWrites
+      .then(() => this.stateStore.saveTask(this.runId, entry))
+      .catch(storeError => this.emit('state-store-error', { taskId, error: storeError }));
+  }
+  
+
+  /**
+   * Wait until every task state written so far has reached the state store
+   * @returns {Promise}
+   */
+  flush() {
+    return this.storeWrites;
+  }
+  
+
+  /**
+   * Mark a task as succeeded from its saved record. Tasks that opted out of
+   * resumption, spawned tasks that have to be spawned again, or depend on a
+   * task that runs again are left to run.
+   */
+  _restoreTask(taskId) {
+    const record = this.restoredRecords.get(taskId);
+    const task = this.taskGraph.getTask(taskId);
+    const state = this.taskGraph.getState(taskId);
+    const dependencies = this.taskGraph.getDependencies(taskId);
+    
+    if (record.state !== TaskState.SUCCEEDED || record.spawned || task.resumable === false ||
+        (state !== TaskState.PENDING && state !== TaskState.READY) ||
+        dependencies.some(depId => this.taskGraph.getState(depId) !== TaskState.SUCCEEDED)) {
+      return;
+    }
+    
+    this._removeFromQueue(id => id === taskId);
+    this.taskGraph.markCompleted(taskId, record.result);
+    this.attempts.set(taskId, record.attempts);
+    this.taskRecords.set(taskId, { startTime: null, endTime: null, error: null, restored: true });
+    this.stats.completed++;
+    this.stats.restored++;
+    this.emit('task-restored', { taskId, task, result: record.result });
+  }
+  
+
+  _onGraphChanged() {
+    this.stats.total = this.taskGraph.getAllTasks().size;
+    
+    if (!this.isProcessing || this.isGraphChangePending) {
+      return;
+    }
+    
+    // Dispatch once the caller is done changing the graph, so that a task
+    // added during a run does not start before its dependencies are added
+    this.isGraphChangePending = true;
+    queueMicrotask(() => {
+      this.isGraphChangePending = false;
+      
+      if (!this.isProcessing) {
+        return;
+      }
+      
+      if (this.isFinished && !this.taskGraph.isComplete()) {
+        this.isFinished = false;
+        this.status = 'running';
+        this.stats.endTime = null;
+      }
+      
+      this._updateQueue();
+      this._processQueue();
+      this._checkFinished();
+    });
   }
   
 
@@ -49,21 +257,255 @@ class QueueManager extends EventEmitter {
       return this;
     }
     
+    if (this.validate) {
+      const report = this.taskGraph.validate();
+      this.emit('validated', report);
+      
+      if (!report.valid || (this.validate === 'strict' && report.issues.length > 0)) {
+        throw new GraphValidationError(report);
+      }
+    }
+    
     this.isProcessing = true;
     this.isPaused = false;
+    this.status = this.isFinished ? this.status : 'running';
     this.stats.startTime = this.stats.startTime || Date.now();
     this.stats.total = this.taskGraph.getAllTasks().size;
     
 
-    this._updateQueue();
+    this._updateQueue(true);
     
 
     this._processQueue();
+    this._checkFinished();
+    this._checkIdle();
+    
+    return this;
+  }
+  
+
+  /**
+   * Add middleware around every task execution. It runs outside the
+   * `middleware` stack (retry, circuit breaker and timeout by default), the
+   * first middleware added outermost.
+   * @param {Function} fn - async (ctx, next) => result
+   * @returns {QueueManager} - Returns this for chaining
+   */
+  use(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+    
+    this.used.push(fn);
+    
+    return this;
+  }
+  
+
+  /**
+   * Add a lifecycle hook
+   * @param {string} name - 'beforeStart' (ctx), 'afterRun' (ctx, { result, error })
+   *   or 'onTaskStateChange' ({ taskId, task, state, previousState })
+   * @param {Function} fn - Hook function; beforeStart and afterRun hooks may be async
+   * @returns {QueueManager} - Returns this for chaining
+   */
+  hook(name, fn) {
+    if (!HOOKS.includes(name)) {
+      throw new Error(`Unknown hook: ${name}`);
+    }
+    
+    if (typeof fn !== 'function') {
+      throw new Error(`Hook ${name} must be a function`);
+    }
+    
+    this.hooks[name].push(fn);
     
     return this;
   }
   
 
+  // Hooks only observe state changes; errors are reported rather than thrown into the graph
+  _onStateChange(change) {
+    const { taskId } = change;
+    
+    for (const hook of this.hooks.onTaskStateChange) {
+      try {
+        Promise.resolve(hook(change))
+          .catch(error => this.emit('hook-error', { hook: 'onTaskStateChange', taskId, error }));
+      } catch (error) {
+        this.emit('hook-error', { hook: 'onTaskStateChange', taskId, error });
+      }
+    }
+  }
+  
+
+  /**
+   * Add a task and get a promise for its result. A task submitted again under
+   * the same `idempotencyKey` is not added: the promise follows the first task,
+   * or resolves with its result if it succeeded within the dedupe window.
+   * @param {string} taskId - Task ID
+   * @param {Function|Object} taskFn - Task function or task object, as for addTask
+   * @param {Object} options - Task options, plus `dependencies` to add
+   * @returns {Promise} - Resolves with the result, rejects if the task fails, is cancelled or skipped
+   */
+  submit(taskId, taskFn, options = {}) {
+    const { dependencies = [], ...taskOptions } = options;
+    const key = taskOptions.idempotencyKey;
+    
+    if (key !== undefined) {
+      const submittedId = this.submittedKeys.get(key);
+      const entry = submittedId === undefined ? this.idempotency.get(key) : null;
+      
+      if (submittedId !== undefined || entry) {
+        const duplicateOf = entry ? entry.info : { taskId: submittedId, runId: this.runId };
+        this.emit('task-deduplicated', { taskId, task: null, key, duplicateOf });
+        return entry ? entry.promise : this._waitForResult(submittedId);
+      }
+    }
+    
+    let added = false;
+    
+    try {
+      this.taskGraph.addTask(taskId, taskFn, taskOptions);
+      added = true;
+      
+      for (const depId of dependencies) {
+        this.taskGraph.addDependency(taskId, depId);
+      }
+    } catch (error) {
+      if (added) {
+        this.taskGraph.removeTask(taskId);
+      }
+      
+      return Promise.reject(error);
+    }
+    
+    if (key !== undefined) {
+      this.submittedKeys.set(key, taskId);
+    }
+    
+    return this._waitForResult(taskId);
+  }
+  
+
+  _waitForResult(taskId) {
+    let waiter = this.resultWaiters.get(taskId);
+    
+    if (!waiter) {
+      waiter = {};
+      waiter.promise = new Promise((resolve, reject) => Object.assign(waiter, { resolve, reject }));
+      // Nobody has to listen for a failure
+      waiter.promise.catch(() => {});
+      this.resultWaiters.set(taskId, waiter);
+      
+      // Settling removes the waiter again, so a task that already finished is answered right away
+      if (this.taskGraph.isTerminal(taskId)) {
+        this._settleWaiter(taskId);
+      }
+    }
+    
+    return waiter.promise;
+  }
+  
+
+  _settleWaiter(taskId) {
+    const state = this.taskGraph.getState(taskId);
+    
+    if (state === TaskState.SUCCEEDED) {
+      const waiter = this.resultWaiters.get(taskId);
+      this.resultWaiters.delete(taskId);
+      
+      if (waiter) {
+        waiter.resolve(this.taskGraph.getResult(taskId));
+      }
+      
+      return;
+    }
+    
+    const record = this.taskRecords.get(taskId);
+    const error = state === TaskState.SKIPPED
+      ? new Error(`Task ${taskId} was skipped`)
+      : (record && record.error) || new TaskCancelledError(taskId, 'Task was cancelled');
+    
+    this._forgetSubmission(taskId, this.taskGraph.getTask(taskId), error);
+  }
+  
+
+  // A submission that did not succeed may be made again
+  _forgetSubmission(taskId, task, error) {
+    if (this.submittedKeys.get(task.idempotencyKey) === taskId) {
+      this.submittedKeys.delete(task.idempotencyKey);
+    }
+    
+    const waiter = this.resultWaiters.get(taskId);
+    
+    if (waiter) {
+      this.resultWaiters.delete(taskId);
+      waiter.reject(error);
+    }
+  }
+  
+
+  /**
+   * Start processing and wait for the run to finish
+   * @returns {Promise} - Resolves with the run report, or rejects with a RunFailedError
+   *   when the run is stopped or fails under the 'fail-fast' policy
+   */
+  run() {
+    return new Promise((resolve, reject) => {
+      const settle = () => {
+        this.removeListener('queue-complete', settle);
+        this.removeListener('stopped', settle);
+        
+        const report = this.getReport();
+        
+        this.flush().then(() => {
+          if (report.status === 'stopped' || 
+              (report.status !== 'succeeded' && this.failurePolicy === 'fail-fast')) {
+            reject(new RunFailedError(report));
+          } else {
+            resolve(report);
+          }
+        });
+      };
+      
+      if (this.isFinished) {
+        settle();
+        return;
+      }
+      
+      this.on('queue-complete', settle);
+      this.on('stopped', settle);
+      
+      try {
+        this.start();
+      } catch (error) {
+        this.removeListener('queue-complete', settle);
+        this.removeListener('stopped', settle);
+        reject(error);
+      }
+    });
+  }
+  
+
+  onIdle() {
+    if (this.queued.size === 0 && this.running.size === 0) {
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => this.once('idle', resolve));
+  }
+  
+
+  drain() {
+    if (this.queued.size === 0) {
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => this.once('drain', resolve));
+  }
+  
+
   pause() {
     this.isPaused = true;
     this.emit('paused');
@@ -71,7 +513,18 @@ class QueueManager extends EventEmitter {
   }
   
 
-  resume() {
+  /**
+   * Resume a paused queue, or with a run ID, resume an interrupted run from the
+   * state store: tasks that succeeded keep their saved result and everything
+   * else (including tasks that were running) runs again
+   * @param {string} runId - Run to resume from the state store
+   * @returns {QueueManager|Promise} - This, or with a run ID a promise like run()
+   */
+  resume(runId) {
+    if (runId !== undefined) {
+      return this._loadRun(runId).then(() => this.run());
+    }
+    
     if (!this.isProcessing || !this.isPaused) {
       return this.start();
     }
@@ -84,16 +537,56 @@ class QueueManager extends EventEmitter {
   }
   
 
-  async stop(waitForRunning = true) {
+  async _loadRun(runId) {
+    if (!this.stateStore) {
+      throw new Error('Resuming a run requires a stateStore');
+    }
+    
+    const records = await this.stateStore.loadRun(runId);
+    
+    if (!records) {
+      throw new Error(`No saved state for run ${runId}`);
+    }
+    
+    this.runId = runId;
+    this.restoredRecords = new Map(Object.entries(records));
+    
+    for (const taskId of this.taskGraph.getTopologicalOrder()) {
+      if (this.restoredRecords.has(taskId)) {
+        this._restoreTask(taskId);
+      }
+    }
+  }
+  
+
+  async stop(waitForRunning = true, gracePeriod = this.stopGracePeriod) {
     this.isProcessing = false;
-    this.queue = [];
+    this._clearQueue();
     
-    if (waitForRunning && this.running.size > 0) {
+    if (!waitForRunning) {
+      this._abortRunning('Queue stopped');
+    } else if (this.running.size > 0) {
+      const timer = gracePeriod === Infinity
+        ? null
+        : setTimeout(() => this._abortRunning('Queue stopped after grace period'), gracePeriod);
+      
 
       await Promise.all(Array.from(this.running.values()));
+      clearTimeout(timer);
+    }
+    
+    if (this.workerPool) {
+      const workerPool = this.workerPool;
+      this.workerPool = null;
+      await workerPool.destroy();
     }
     
     this.stats.endTime = Date.now();
+    
+    if (!this.isFinished) {
+      this.status = 'stopped';
+    }
+    
     this.emit('stopped');
     
     return this;
@@ -108,6 +601,10 @@ class QueueManager extends EventEmitter {
     this.concurrency = concurrency;
     this.emit('concurrency-changed', concurrency);
     
+    if (this.workerPool) {
+      this.workerPool.resize(concurrency);
+    }
+    
 
     if (this.isProcessing && !this.isPaused) {
       this._processQueue();
@@ -117,104 +614,1196 @@ class QueueManager extends EventEmitter {
   }
   
 
-  _updateQueue() {
-    const readyTasks = this.taskGraph.getReadyTasks();
+  _updateQueue(rescan = false) {
+    const readyTasks = this.taskGraph.takeReadyTasks();
+    let candidates = rescan ? this.taskGraph.getReadyTasks() : readyTasks;
     
 
-    for (const taskId of readyTasks) {
-      if (!this.queue.includes(taskId) && !this.running.has(taskId)) {
-        this.queue.push(taskId);
+    while (candidates.length > 0) {
+      for (const taskId of candidates) {
+        if (!this.queued.has(taskId) && !this.running.has(taskId) && this._passesGuards(taskId)) {
+          this._enqueue(taskId);
+        }
       }
+      
+
+      candidates = this.taskGraph.takeReadyTasks();
     }
   }
   
 
-  async _processQueue() {
-    if (!this.isProcessing || this.isPaused) {
-      return;
+  _passesGuards(taskId) {
+    const task = this.taskGraph.getTask(taskId);
+    let decision;
+    
+    try {
+      decision = this.taskGraph.evaluateGuards(taskId);
+    } catch (error) {
+      this._failWithoutRunning(taskId, task, error);
+      return false;
+    }
+    
+    if (decision.run) {
+      return true;
     }
     
 
-    while (this.queue.length > 0 && this.running.size < this.concurrency) {
-      const taskId = this.queue.shift();
-      await this._executeTask(taskId);
+    this.taskGraph.markSkipped(taskId, { cascade: Boolean(task.cascadeSkip) });
+    this.stats.skipped++;
+    this.emit('task-skipped', { taskId, task, reason: decision.reason, cause: decision.dependency || null });
+    
+    if (task.cascadeSkip) {
+      this._skipDependents(taskId);
     }
+    
+    return false;
   }
   
 
-  async _executeTask(taskId) {
+  _failWithoutRunning(taskId, task, error) {
+    this.taskGraph.markFailed(taskId);
+    this.taskRecords.set(taskId, { startTime: null, endTime: null, error });
+    this.stats.failed++;
+    this.emit('task-error', { taskId, task, error, attempts: 0 });
+    this._handleFailure(taskId);
+  }
+  
+
+  _enqueue(taskId) {
     const task = this.taskGraph.getTask(taskId);
+    const sequence = this.sequence++;
+    const entry = {
+      taskId,
+      rank: this.scheduler.rank(taskId, task, this.taskGraph, sequence),
+      index: this.taskGraph.getInsertionIndex(taskId)
+    };
+    
+    this.queued.add(taskId);
+    this.isDrained = false;
     
 
-    const taskPromise = (async () => {
-      try {
-        this.emit('task-start', { taskId, task });
-        
+    const now = Date.now();
+    const until = this._getStartTime(task, now);
+    
+    if (until <= now) {
+      this.queue.push(entry);
+      return;
+    }
+    
+    this.delayed.push({ ...entry, until });
+    this.delayedUntil.set(taskId, until);
+    this.emit('task-delayed', { taskId, task, until });
+    this._wakeAt(until);
+  }
+  
 
-        const result = await task.execute(task);
-        
+  /**
+   * Earliest time a task may start: its `runAt`, or `delay` ms after it became ready
+   */
+  _getStartTime(task, readyAt) {
+    let until = task.runAt !== undefined ? new Date(task.runAt).getTime() : 0;
+    
+    if (task.delay) {
+      until = Math.max(until, readyAt + task.delay);
+    }
+    
+    return until;
+  }
+  
 
-        this.taskGraph.markCompleted(taskId);
-        this.stats.completed++;
-        
-        this.emit('task-complete', { taskId, task, result });
-        
+  _removeFromQueue(predicate) {
+    for (const queue of this._getQueues()) {
+      for (const entry of queue.removeWhere(entry => predicate(entry.taskId))) {
+        this.queued.delete(entry.taskId);
+        this.rateLimited.delete(entry.taskId);
+        this.circuitHeld.delete(entry.taskId);
+        this.delayedUntil.delete(entry.taskId);
+      }
+    }
+    
+    for (const [key, gate] of this.gates) {
+      if (gate.queue.size === 0) {
+        this.gates.delete(key);
+      }
+    }
+    
+    this._checkDrained();
+  }
+  
 
-        if (this.taskGraph.isComplete()) {
-          this.stats.endTime = Date.now();
-          this.emit('queue-complete', this.stats);
-        }
-      } catch (error) {
-        this.stats.failed++;
-        this.emit('task-error', { taskId, task, error });
-      } finally {
+  // Emit 'drain' once the last queued task has left the queue, whether it
+  // started or was cancelled, skipped or removed
+  _checkDrained() {
+    if (!this.isDrained && this.queued.size === 0) {
+      this.isDrained = true;
+      this.emit('drain');
+    }
+  }
+  
 
-        this.running.delete(taskId);
-        
+  // The main queue, the delayed queue and the queue of every gate
+  _getQueues() {
+    return [this.queue, this.delayed, ...Array.from(this.gates.values(), gate => gate.queue)];
+  }
+  
 
+  _clearQueue() {
+    this.queue.clear();
+    this.gates.clear();
+    this.delayed.clear();
+    this.queued.clear();
+    this.rateLimited.clear();
+    this.circuitHeld.clear();
+    this.delayedUntil.clear();
+    this.isDrained = true;
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = null;
+  }
+  
+
+  _processQueue() {
+    if (!this.isProcessing || this.isPaused) {
+      return;
+    }
+    
+
+    const openGates = new Map(this.gates);
+    
+    this._releaseDueTasks();
+    
+    while (this.running.size < this.concurrency) {
+      const entry = this._takeNext(openGates);
+      
+      if (!entry) {
+        break;
+      }
+      
+      const { taskId } = entry;
+      
+      if (this.taskGraph.states.get(taskId) !== TaskState.READY) {
+        this.queued.delete(taskId);
+        this.rateLimited.delete(taskId);
+        this.circuitHeld.delete(taskId);
+        this.delayedUntil.delete(taskId);
+        continue;
+      }
+      
+      const task = this.taskGraph.getTask(taskId);
+      const oversized = this._findOversizedRequirement(task);
+      
+      if (oversized) {
+        this.queued.delete(taskId);
+        this._failWithoutRunning(taskId, task, new Error(
+          `Task ${taskId} requires ${oversized.amount} units of pool ${oversized.pool}, which has a capacity of ${oversized.capacity}`
+        ));
         this._updateQueue();
-        this._processQueue();
+        continue;
       }
-    })();
+      
+      const circuit = this._checkCircuits(taskId, task);
+      
+      if (circuit.rejectedBy !== null) {
+        this.queued.delete(taskId);
+        this._failWithoutRunning(taskId, task, new CircuitOpenError(taskId, circuit.rejectedBy));
+        this._updateQueue();
+        continue;
+      }
+      
+      const fullPool = this._findFullPool(task, entry);
+      
+      if (fullPool !== null) {
+        this._park('pool', fullPool, entry);
+        continue;
+      }
+      
+      if (circuit.held) {
+        this._park('circuit', this.circuitHeld.get(taskId)[0], entry);
+        continue;
+      }
+      
+      if (!this._acquireRateLimit(taskId, task)) {
+        this._park('rate', this.rateLimited.get(taskId).limits[0], entry);
+        continue;
+      }
+      
+      this.queued.delete(taskId);
+      circuit.probes.forEach(breaker => breaker.startProbe(taskId));
+      this._executeTask(taskId);
+    }
     
-
-    this.running.set(taskId, taskPromise);
+    this._checkDrained();
   }
   
 
-  getStats() {
-    return {
-      ...this.stats,
-      running: this.running.size,
-      queued: this.queue.length,
-      concurrency: this.concurrency,
-      isProcessing: this.isProcessing,
-      isPaused: this.isPaused,
-      duration: this.stats.endTime 
-        ? (this.stats.endTime - this.stats.startTime) 
-        : (this.stats.startTime ? (Date.now() - this.stats.startTime) : 0)
-    };
+  // Move delayed tasks that are due to the main queue, and wake up when the next one is
+  _releaseDueTasks() {
+    const now = Date.now();
+    
+    while (this.delayed.size > 0 && this.delayed.peek().until <= now) {
+      const { until, ...entry } = this.delayed.pop();
+      this.delayedUntil.delete(entry.taskId);
+      this.queue.push(entry);
+    }
+    
+    if (this.delayed.size > 0) {
+      this._wakeAt(this.delayed.peek().until);
+    }
   }
   
 
-  reset() {
-    this.stop(false);
-    this.taskGraph.reset();
-    this.running.clear();
-    this.queue = [];
+  /**
+   * Take the best ranked entry out of the main queue and the heads of the
+   * gates that let their head through. A gate found closed is dropped from
+   * `openGates` for the rest of a pass over the queue: starting tasks only
+   * uses up capacity, and gates that open with time set a wake-up.
+   */
+  _takeNext(openGates) {
+    let best = this.queue.peek();
+    let source = null;
     
-    this.stats = {
-      completed: 0,
-      failed: 0,
-      total: 0,
-      startTime: null,
-      endTime: null
-    };
+    for (const [key, gate] of openGates) {
+      const head = gate.queue.peek();
+      
+      if (!head || !this._isGateOpen(gate, head)) {
+        openGates.delete(key);
+        continue;
+      }
+      
+      if (!best || compareEntries(head, best) < 0) {
+        best = head;
+        source = key;
+      }
+    }
+    
+    if (source === null) {
+      return this.queue.pop();
+    }
+    
+    const gate = this.gates.get(source);
+    gate.queue.pop();
+    
+    if (gate.queue.size === 0) {
+      this.gates.delete(source);
+      openGates.delete(source);
+    }
+    
+    return best;
+  }
+  
+
+  /**
+   * Set a queued task aside until its gate opens: a pool gate when the pool
+   * has room for its head, a rate gate when its bucket has a token and a
+   * circuit gate when the breaker no longer holds tasks back
+   */
+  _park(kind, name, entry) {
+    const key = `${kind}:${name}`;
+    
+    if (!this.gates.has(key)) {
+      this.gates.set(key, { kind, name, queue: new PriorityQueue(compareEntries) });
+    }
+    
+    this.gates.get(key).queue.push(entry);
+  }
+  
+
+  _isGateOpen(gate, entry) {
+    // Tasks that are no longer ready are let through, to be dropped from the queue
+    if (this.taskGraph.states.get(entry.taskId) !== TaskState.READY) {
+      return true;
+    }
+    
+    if (gate.kind === 'pool') {
+      const task = this.taskGraph.getTask(entry.taskId);
+      return this._hasRoom(gate.name, this._getRequirements(task)[gate.name], task);
+    }
+    
+    const now = Date.now();
+    
+    if (gate.kind === 'rate') {
+      const wait = this.rateLimiter.getWaitTime(gate.name, now);
+      
+      if (wait > 0) {
+        this._wakeAt(now + wait);
+      }
+      
+      return wait === 0;
+    }
+    
+    const breaker = this.circuitBreakers.get(gate.name);
+    
+    if (breaker.check(now) !== 'hold') {
+      return true;
+    }
+    
+    // A probing breaker is decided when its probe settles, which processes the queue anyway
+    if (breaker.getRetryTime() !== null) {
+      this._wakeAt(breaker.getRetryTime());
+    }
+    
+    return false;
+  }
+  
+
+  /**
+   * Units of each pool a task holds while it runs: its `resources`, one unit
+   * of its `group` and one unit of its `concurrencyKey`
+   */
+  _getRequirements(task) {
+    const requirements = { ...task.resources };
+    
+    for (const pool of [task.group, task.concurrencyKey]) {
+      if (pool) {
+        requirements[pool] = (requirements[pool] || 0) + 1;
+      }
+    }
+    
+    return requirements;
+  }
+  
+
+  // Configured pools take precedence over the concurrencyLimit a task brings along
+  _getPoolCapacity(pool, task) {
+    if (this.pools.has(pool)) {
+      return this.pools.get(pool);
+    }
+    
+    return pool === task.concurrencyKey && task.concurrencyLimit ? task.concurrencyLimit : Infinity;
+  }
+  
+
+  // First pool without enough free units for the task, or null if it may start
+  _findFullPool(task, entry) {
+    for (const [pool, amount] of Object.entries(this._getRequirements(task))) {
+      const gate = this.gates.get(`pool:${pool}`);
+      // Tasks ahead in the queue that wait for the pool go first
+      const waitingAhead = gate !== undefined && compareEntries(gate.queue.peek(), entry) < 0;
+      
+      if (amount > 0 && (waitingAhead || !this._hasRoom(pool, amount, task))) {
+        return pool;
+      }
+    }
+    
+    return null;
+  }
+  
+
+  _hasRoom(pool, amount, task) {
+    return (this.poolUsage.get(pool) || 0) + amount <= this._getPoolCapacity(pool, task);
+  }
+  
+
+  _findOversizedRequirement(task) {
+    for (const [pool, amount] of Object.entries(this._getRequirements(task))) {
+      const capacity = this._getPoolCapacity(pool, task);
+      
+      if (amount > capacity && capacity > 0) {
+        return { pool, amount, capacity };
+      }
+    }
+    
+    return null;
+  }
+  
+
+  /**
+   * Change the capacity of a resource pool while the queue runs
+   * @param {string} pool - Pool name
+   * @param {number} capacity - Units that running tasks may hold at once
+   * @returns {QueueManager} - Returns this for chaining
+   */
+  setPoolCapacity(pool, capacity) {
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      throw new Error('Pool capacity must be a non-negative integer');
+    }
+    
+    this.pools.set(pool, capacity);
+    this.emit('pool-capacity-changed', { pool, capacity });
+    
+    if (this.isProcessing && !this.isPaused) {
+      this._processQueue();
+      this._checkFinished();
+    }
+    
+    return this;
+  }
+  
+
+  /**
+   * Take the rate limit tokens a task needs to start. A task without tokens
+   * stays queued and the queue is processed again once they may be available.
+   * @returns {boolean} - Whether the task may start
+   */
+  _acquireRateLimit(taskId, task) {
+    if (!this.rateLimiter) {
+      return true;
+    }
+    
+    const now = Date.now();
+    const { wait, limits } = this.rateLimiter.acquire(this._getTags(task), now);
+    
+    if (wait === 0) {
+      if (this.rateLimited.has(taskId)) {
+        const { since, limits: heldBy } = this.rateLimited.get(taskId);
+        this.rateLimited.delete(taskId);
+        this.stats.rateLimitWait += now - since;
+        this.rateLimiter.recordWait(heldBy, now - since);
+      }
+      
+      return true;
+    }
+    
+    if (!this.rateLimited.has(taskId)) {
+      this.rateLimited.set(taskId, { since: now, limits });
+      this.emit('task-rate-limited', { taskId, task, wait, limits });
+    }
+    
+    this._wakeAt(now + wait);
+    
+    return false;
+  }
+  
+
+  /**
+   * Consult the circuit breakers of a task's tags. A task is held while any of
+   * them is open (or probing) and rejected by an open breaker in fail-fast mode.
+   * @returns {Object} - { held, rejectedBy, probes }: probes are the half-open breakers the task would probe
+   */
+  _checkCircuits(taskId, task) {
+    const outcome = { held: false, rejectedBy: null, probes: [] };
+    
+    if (!this.circuitBreakers) {
+      return outcome;
+    }
+    
+    const now = Date.now();
+    const heldBy = [];
+    
+    for (const [key, breaker] of this.circuitBreakers.getBreakers(this._getTags(task))) {
+      const decision = breaker.check(now);
+      
+      if (decision === 'reject') {
+        breaker.rejected++;
+        this.circuitHeld.delete(taskId);
+        return { ...outcome, rejectedBy: key };
+      }
+      
+      if (decision === 'probe') {
+        outcome.probes.push(breaker);
+      } else if (decision === 'hold') {
+        heldBy.push(key);
+        
+        // A probing breaker is decided when its probe settles, which processes the queue anyway
+        if (breaker.getRetryTime() !== null) {
+          this._wakeAt(breaker.getRetryTime());
+        }
+      }
+    }
+    
+    if (heldBy.length === 0) {
+      this.circuitHeld.delete(taskId);
+      return outcome;
+    }
+    
+    if (!this.circuitHeld.has(taskId)) {
+      this.emit('task-circuit-held', { taskId, task, circuits: heldBy });
+    }
+    
+    this.circuitHeld.set(taskId, heldBy);
+    return { ...outcome, held: true };
+  }
+  
+
+  _recordCircuitOutcome(taskId, task, error) {
+    if (!this.circuitBreakers || error instanceof TaskCancelledError) {
+      return;
+    }
+    
+    for (const [, breaker] of this.circuitBreakers.getBreakers(this._getTags(task))) {
+      if (error) {
+        breaker.recordFailure(taskId);
+      } else {
+        breaker.recordSuccess(taskId);
+      }
+    }
+  }
+  
+
+  _endCircuitProbes(taskId, task) {
+    if (this.circuitBreakers) {
+      this.circuitBreakers.getBreakers(this._getTags(task)).forEach(([, breaker]) => breaker.endProbe(taskId));
+    }
+  }
+  
+
+  // Tag of an open breaker of the task, or null
+  _findOpenCircuit(task) {
+    if (!this.circuitBreakers) {
+      return null;
+    }
+    
+    const open = this.circuitBreakers.getBreakers(this._getTags(task))
+      .find(([, breaker]) => breaker.getState() === CircuitState.OPEN);
+    
+    return open ? open[0] : null;
+  }
+  
+
+  // Process the queue again at the given time, unless an earlier wake-up is already set
+  _wakeAt(time) {
+    if (this.wakeTimer && this.wakeTimerAt <= time) {
+      return;
+    }
+    
+    clearTimeout(this.wakeTimer);
+    this.wakeTimerAt = time;
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this._processQueue();
+    }, getTimerDelay(time));
+  }
+  
+
+  _getTags(task) {
+    const tags = task.tags ? [].concat(task.tags) : [];
+    return task.type ? [...tags, task.type] : tags;
+  }
+  
+
+  _adjustPools(task, sign) {
+    for (const [pool, amount] of Object.entries(this._getRequirements(task))) {
+      if (amount > 0) {
+        this.poolUsage.set(pool, (this.poolUsage.get(pool) || 0) + sign * amount);
+      }
+    }
+  }
+  
+
+  _executeTask(taskId) {
+    const task = this.taskGraph.getTask(taskId);
+    
+
+    const controller = new AbortController();
+    this.controllers.set(taskId, controller);
+    this.running.set(taskId, null);
+    this._adjustPools(task, 1);
+    this.taskGraph.markRunning(taskId);
+    this.taskRecords.set(taskId, { startTime: Date.now(), endTime: null, error: null });
+    
+
+    const taskPromise = (async () => {
+      let result;
+      let failure = null;
+      
+      try {
+        if (task.idempotencyKey === undefined) {
+          result = await this._attemptTask(taskId, task, controller.signal);
+        } else {
+          result = await this._attemptOnce(taskId, task, controller.signal);
+        }
+      } catch (error) {
+        failure = error;
+      }
+      
+      const attempt = this.getAttempts(taskId);
+      
+
+      if (this.controllers.get(taskId) !== controller) {
+        return;
+      }
+      
+      this.running.delete(taskId);
+      this.controllers.delete(taskId);
+      this._adjustPools(task, -1);
+      this._endCircuitProbes(taskId, task);
+      
+      const record = this.taskRecords.get(taskId);
+      record.endTime = Date.now();
+      record.error = failure;
+      
+      if (failure === null) {
+        if (this.learnDurations) {
+          this.taskGraph.recordDuration(taskId, record.endTime - record.startTime);
+        }
+        
+        this.taskGraph.markCompleted(taskId, result);
+        this.stats.completed++;
+        this.emit('task-complete', { taskId, task, result, attempts: attempt });
+      } else if (failure instanceof TaskCancelledError) {
+        this.taskGraph.markCancelled(taskId);
+        this.stats.cancelled++;
+        this.emit('task-cancelled', { taskId, task, reason: failure.reason, attempts: attempt });
+        this._skipDependents(taskId);
+      } else {
+        this.taskGraph.markFailed(taskId);
+        this.stats.failed++;
+        this.emit('task-error', { taskId, task, error: failure, attempts: attempt });
+        this._handleFailure(taskId);
+      }
+      
+
+      this._updateQueue();
+      this._processQueue();
+      this._checkFinished();
+      this._checkIdle();
+    })();
+    
+
+    if (this.controllers.get(taskId) === controller) {
+      this.running.set(taskId, taskPromise);
+    }
+  }
+  
+
+  /**
+   * Run a task through the hooks and the middleware pipeline
+   * @returns {Promise} - Result of the pipeline
+   */
+  async _attemptTask(taskId, task, signal) {
+    const ctx = {
+      taskId,
+      task,
+      queueManager: this,
+      context: {
+        taskId,
+        results: this.taskGraph.getUpstreamResults(taskId, task.resultScope),
+        spawn: (childId, childFn, options) => {
+          this.taskRecords.get(taskId).spawned = true;
+          this.taskGraph.spawnTask(taskId, childId, childFn, options);
+          return childId;
+        }
+      },
+      attempt: 0,
+      signal,
+      state: {}
+    };
+    
+    // A beforeStart hook that throws fails the task without running it
+    for (const hook of this.hooks.beforeStart) {
+      await hook(ctx);
+    }
+    
+    this.emit('task-start', { taskId, task });
+    
+    let result;
+    let failure = null;
+    
+    try {
+      result = await this._runPipeline(ctx);
+    } catch (error) {
+      failure = error;
+    }
+    
+
+    for (const hook of this.hooks.afterRun) {
+      try {
+        await hook(ctx, { result, error: failure });
+      } catch (error) {
+        this.emit('hook-error', { hook: 'afterRun', taskId, error });
+      }
+    }
+    
+    if (failure !== null) {
+      throw failure;
+    }
+    
+    return result;
+  }
+  
+
+  // Middleware added with use() wraps the base stack; each layer calls next() to run the ones inside it
+  _runPipeline(ctx) {
+    const stack = [...this.used, ...this.middleware];
+    
+    const dispatch = async (index) => {
+      if (index === stack.length) {
+        return this._runAttempt(ctx);
+      }
+      
+      return stack[index](ctx, () => dispatch(index + 1));
+    };
+    
+    return dispatch(0);
+  }
+  
+
+  /**
+   * Run a task with an idempotency key, unless a task with the same key is
+   * running or succeeded within the dedupe window; its result is used instead.
+   * Results of tasks that ran are saved for later duplicates.
+   */
+  async _attemptOnce(taskId, task, signal) {
+    const key = task.idempotencyKey;
+    const execution = this.idempotency.execute(key, () => this._attemptTask(taskId, task, signal), {
+      taskId,
+      runId: this.runId
+    });
+    const { result, duplicateOf } = await this._abortable(execution, signal);
+    
+    if (duplicateOf) {
+      this.taskRecords.get(taskId).deduplicated = true;
+      this.stats.deduplicated++;
+      this.emit('task-deduplicated', { taskId, task, key, duplicateOf });
+    } else {
+      this.storeWrites = this.storeWrites
+        .then(() => this.idempotency.save(key, { taskId, runId: this.runId, result }))
+        .catch(storeError => this.emit('state-store-error', { taskId, error: storeError }));
+    }
+    
+    return result;
+  }
+  
+
+  // Settle with the promise, or reject as soon as the signal is aborted
+  _abortable(promise, signal) {
+    if (signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+  
+
+  // Innermost layer of the pipeline: a single call of the task function
+  _runAttempt(ctx) {
+    const { taskId, task } = ctx;
+    const attempt = ctx.attempt + 1;
+    
+    ctx.attempt = attempt;
+    this.attempts.set(taskId, attempt);
+    
+    const context = {
+      ...ctx.context,
+      attempt,
+      reportProgress: (fraction, message) => this._reportProgress(taskId, task, attempt, fraction, message)
+    };
+    
+    return this._abortable(this._invoke(taskId, task, context, ctx.signal), ctx.signal);
+  }
+  
+
+  /**
+   * Record progress reported by a running attempt. Reports of attempts that
+   * are over, e.g. timed out ones that keep running, are ignored.
+   */
+  _reportProgress(taskId, task, attempt, fraction, message) {
+    checkProgress(fraction);
+    
+    if (this.getAttempts(taskId) !== attempt || this.taskGraph.getState(taskId) !== TaskState.RUNNING) {
+      return;
+    }
+    
+    const progress = { fraction, message: message !== undefined ? String(message) : null, updatedAt: Date.now() };
+    
+    this.progress.set(taskId, progress);
+    this.emit('task-progress', { taskId, task, attempt, ...progress });
+  }
+  
+
+  /**
+   * Call a task according to its execution mode: in-process by default, on the
+   * worker pool for 'worker' and in a child process for 'process'
+   */
+  _invoke(taskId, task, context, signal) {
+    switch (task.mode) {
+      case 'worker':
+        return this._runInWorker(taskId, task, context, signal);
+      case 'process':
+        return this._runInProcess(taskId, task, context, signal);
+      case undefined:
+        return Promise.resolve().then(() => task.execute(task, { ...context, signal }));
+      default:
+        return Promise.reject(new Error(`Unknown execution mode for task ${taskId}: ${task.mode}`));
+    }
+  }
+  
+
+  // Module handlers get a copy of the task definition without functions and a
+  // context with the upstream results
+  _serializableJob(taskId, task, context) {
+    return {
+      taskId,
+      module: path.resolve(task.module),
+      exportName: task.exportName,
+      task: JSON.parse(JSON.stringify(task, (key, value) => typeof value === 'function' ? undefined : value)),
+      context: { taskId, attempt: context.attempt, results: context.results }
+    };
+  }
+  
+
+  /**
+   * Run a task in worker mode on the worker pool
+   */
+  _runInWorker(taskId, task, context, signal) {
+    if (!this.workerPool) {
+      this.workerPool = new WorkerPool({ size: this.concurrency, resourceLimits: this.workerResourceLimits });
+    }
+    
+    return this.workerPool.run({
+      ...this._serializableJob(taskId, task, context),
+      onProgress: context.reportProgress
+    }, signal);
+  }
+  
+
+  /**
+   * Run a task in process mode in a child process of its own. The task record
+   * follows the output of the latest attempt while it runs.
+   */
+  async _runInProcess(taskId, task, context, signal) {
+    const record = this.taskRecords.get(taskId);
+    Object.assign(record, { stdout: '', stderr: '' });
+    
+    const { result } = await runInChildProcess({
+      ...this._serializableJob(taskId, task, context),
+      memoryLimit: task.memoryLimit,
+      maxOutput: task.maxOutput,
+      onOutput: (stdout, stderr) => Object.assign(record, { stdout, stderr }),
+      onProgress: context.reportProgress
+    }, signal);
+    
+    return result;
+  }
+  
+
+  _delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+
+  _handleFailure(taskId) {
+    if (this.failurePolicy === 'fail-fast') {
+      this._abortRun(`Run aborted after task ${taskId} failed`);
+      return;
+    }
+    
+    this._skipDependents(taskId);
+  }
+  
+
+  _skipDependents(taskId) {
+    const skipped = this.taskGraph.skipDependents(taskId, {
+      honorOptional: this.failurePolicy === 'continue'
+    });
+    
+    for (const skippedId of skipped) {
+      this.stats.skipped++;
+      this.emit('task-skipped', {
+        taskId: skippedId,
+        task: this.taskGraph.getTask(skippedId),
+        reason: 'upstream',
+        cause: taskId
+      });
+    }
+    
+    this._removeFromQueue(id => this.taskGraph.getState(id) !== TaskState.READY);
+  }
+  
+
+  _abortRun(reason) {
+    if (this.isAborted) {
+      return;
+    }
+    
+    this.isAborted = true;
+    this._clearQueue();
+    
+
+    for (const [taskId, state] of this.taskGraph.states.entries()) {
+      if (state === TaskState.PENDING || state === TaskState.READY) {
+        this.taskGraph.markCancelled(taskId);
+        this.stats.cancelled++;
+        this.emit('task-cancelled', { taskId, task: this.taskGraph.getTask(taskId), reason, attempts: 0 });
+      }
+    }
+    
+    this._abortRunning(reason);
+    this.emit('run-aborted', { reason });
+  }
+  
+
+  _checkFinished() {
+    if (this.isFinished || !this.isProcessing || !this.taskGraph.isComplete()) {
+      return;
+    }
+    
+    this.isFinished = true;
+    this.stats.endTime = Date.now();
+    
+    if (this.isAborted) {
+      this.status = 'aborted';
+    } else if (this.stats.failed > 0 || this.stats.cancelled > 0) {
+      this.status = 'failed';
+    } else {
+      this.status = 'succeeded';
+    }
+    
+    this.emit('queue-complete', {
+      ...this.stats,
+      status: this.status,
+      summary: this.taskGraph.getSummary()
+    });
+  }
+  
+
+  _checkIdle() {
+    if (this.isProcessing && this.queued.size === 0 && this.running.size === 0) {
+      this.emit('idle');
+    }
+  }
+  
+
+  _abortRunning(reason) {
+    for (const [taskId, controller] of this.controllers.entries()) {
+      controller.abort(new TaskCancelledError(taskId, reason));
+    }
+  }
+  
+
+  cancel(taskId, reason = 'Task was cancelled') {
+    const task = this.taskGraph.getTask(taskId);
+    
+
+    if (this.controllers.has(taskId)) {
+      this.controllers.get(taskId).abort(new TaskCancelledError(taskId, reason));
+      return true;
+    }
+    
+    if (this.taskGraph.isTerminal(taskId)) {
+      return false;
+    }
+    
+
+    this._removeFromQueue(id => id === taskId);
+    this.taskGraph.markCancelled(taskId);
+    this.stats.cancelled++;
+    this.emit('task-cancelled', { taskId, task, reason, attempts: 0 });
+    this._skipDependents(taskId);
+    this._checkFinished();
+    this._checkIdle();
+    
+    return true;
+  }
+  
+
+  getAttempts(taskId) {
+    return this.attempts.get(taskId) || 0;
+  }
+  
+
+  /**
+   * Latest progress reported by a task
+   * @returns {Object|null} - { fraction, message, updatedAt }, or null if it reported none
+   */
+  getTaskProgress(taskId) {
+    return this.progress.get(taskId) || null;
+  }
+  
+
+  /**
+   * Overall progress of the run between 0 and 1. Finished tasks count in full
+   * and running ones by the progress they reported, each weighted by its
+   * estimated duration.
+   */
+  getProgress() {
+    let total = 0;
+    let done = 0;
+    
+    for (const taskId of this.taskGraph.getAllTasks().keys()) {
+      const weight = this.taskGraph.getEstimatedDuration(taskId);
+      total += weight;
+      
+      if (this.taskGraph.isTerminal(taskId)) {
+        done += weight;
+      } else if (this.running.has(taskId) && this.progress.has(taskId)) {
+        done += weight * this.progress.get(taskId).fraction;
+      }
+    }
+    
+    return total > 0 ? done / total : 0;
+  }
+  
+
+  getResult(taskId) {
+    return this.taskGraph.getResult(taskId);
+  }
+  
+
+  getTaskState(taskId) {
+    return this.taskGraph.getState(taskId);
+  }
+  
+
+  getTaskRecord(taskId) {
+    const record = this.taskRecords.get(taskId) || { startTime: null, endTime: null, error: null };
+    
+    return {
+      status: this.taskGraph.getState(taskId),
+      result: this.taskGraph.getResult(taskId),
+      error: record.error,
+      attempts: this.getAttempts(taskId),
+      startTime: record.startTime,
+      endTime: record.endTime,
+      duration: record.startTime && record.endTime ? record.endTime - record.startTime : null,
+      restored: Boolean(record.restored),
+      deduplicated: Boolean(record.deduplicated),
+      progress: this.getTaskProgress(taskId),
+      stdout: record.stdout !== undefined ? record.stdout : null,
+      stderr: record.stderr !== undefined ? record.stderr : null
+    };
+  }
+  
+
+  getReport() {
+    const tasks = {};
+    const schedule = this.taskGraph.getSchedule();
+    
+    for (const taskId of this.taskGraph.getAllTasks().keys()) {
+      tasks[taskId] = { ...this.getTaskRecord(taskId), slack: schedule.get(taskId).slack };
+    }
+    
+    return {
+      runId: this.runId,
+      status: this.status,
+      stats: this.getStats(),
+      criticalPath: this.taskGraph.getCriticalPath(),
+      tasks
+    };
+  }
+  
+
+  getStats() {
+    const subGraphs = {};
+
+    for (const taskId of this.taskGraph.subGraphs.keys()) {
+      subGraphs[taskId] = this.taskGraph.getSubGraphStats(taskId);
+    }
+    
+    return {
+      ...this.stats,
+      running: this.running.size,
+      queued: this.queued.size,
+      delayed: this.delayedUntil.size,
+      concurrency: this.concurrency,
+      scheduler: this.scheduler.name,
+      isProcessing: this.isProcessing,
+      isPaused: this.isPaused,
+      subGraphs,
+      progress: this.getProgress(),
+      pools: this._getPoolStats(),
+      rateLimits: this.rateLimiter
+        ? this.rateLimiter.getStats(Array.from(this.rateLimited.values(), ({ limits }) => limits))
+        : null,
+      circuits: this.circuitBreakers
+        ? this.circuitBreakers.getStats(Array.from(this.circuitHeld.values()))
+        : null,
+      duration: this.stats.endTime 
+        ? (this.stats.endTime - this.stats.startTime) 
+        : (this.stats.startTime ? (Date.now() - this.stats.startTime) : 0)
+    };
+  }
+  
+
+  _getPoolStats() {
+    const pools = {};
+    const describe = (pool) => {
+      if (!pools[pool]) {
+        pools[pool] = {
+          capacity: this.pools.has(pool) ? this.pools.get(pool) : null,
+          inUse: this.poolUsage.get(pool) || 0,
+          queued: 0
+        };
+      }
+      
+      return pools[pool];
+    };
+    
+    for (const pool of [...this.pools.keys(), ...this.poolUsage.keys()]) {
+      describe(pool);
+    }
+    
+    for (const queue of this._getQueues()) {
+      for (const { taskId } of queue.heap) {
+        for (const [pool, amount] of Object.entries(this._getRequirements(this.taskGraph.getTask(taskId)))) {
+          if (amount > 0) {
+            describe(pool).queued++;
+          }
+        }
+      }
+    }
+    
+    return pools;
+  }
+  
+
+  reset() {
+    this.stop(false);
+    this.taskGraph.reset();
+    this.running.clear();
+    this.controllers.clear();
+    this.attempts.clear();
+    this.taskRecords.clear();
+    this.poolUsage.clear();
+    this.restoredRecords.clear();
+    this.progress.clear();
+    this.submittedKeys.clear();
+    
+    for (const [taskId, waiter] of this.resultWaiters) {
+      waiter.reject(new TaskCancelledError(taskId, 'Queue was reset'));
+    }
+    
+    this.resultWaiters.clear();
+    this._clearQueue();
+    this.isAborted = false;
+    this.isFinished = false;
+    this.status = 'idle';
+    
+    this.stats = this._createStats();
     
     this.emit('reset');
     
     return this;
   }
+  
+
+  _createStats() {
+    return {
+      completed: 0,
+      failed: 0,
+      skipped: 0,
+      cancelled: 0,
+      retried: 0,
+      timedOut: 0,
+      restored: 0,
+      deduplicated: 0,
+      rateLimitWait: 0,
+      total: 0,
+      startTime: null,
+      endTime: null
+    };
+  }
 }
 
 module.exports = QueueManager;
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * Token bucket rate limiting for task starts.
+ *
+ * A bucket holds up to `burst` tokens and refills at `rate` tokens per
+ * `interval` ms. Starting a task takes one token from the global bucket and
+ * from the bucket of each of its tags; a task only starts when all of them
+ * have a token.
+ */
+
+class TokenBucket {
+  /**
+   * Create a new TokenBucket
+   * @param {Object} options - Configuration options
+   * @param {number} options.rate - Tokens added per interval
+   * @param {number} options.interval - Refill interval in ms (default: 1000)
+   * @param {number} options.burst - Maximum number of tokens (default: rate)
+   */
+  constructor(options = {}) {
+    this.rate = options.rate;
+    this.interval = options.interval || 1000;
+    this.capacity = options.burst || options.rate;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.waitTime = 0;
+
+    if (!(this.rate > 0)) {
+      throw new Error('Rate limit rate must be a positive number');
+    }
+  }
+
+
+  _refill(now) {
+    const elapsed = now - this.lastRefill;
+
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate / this.interval);
+      this.lastRefill = now;
+    }
+  }
+
+
+  getTokens(now = Date.now()) {
+    this._refill(now);
+    return this.tokens;
+  }
+
+
+  /**
+   * Time until a token is available
+   * @param {number} now - Current time
+   * @returns {number} - Milliseconds, 0 if a token is available now
+   */
+  getWaitTime(now = Date.now()) {
+    this._refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.interval / this.rate);
+  }
+
+
+  take(now = Date.now()) {
+    this._refill(now);
+    this.tokens -= 1;
+  }
+}
+
+
+class RateLimiter {
+  /**
+   * Create a new RateLimiter
+   * @param {Object} options - Configuration options
+   * @param {Object} options.global - Bucket options applied to every task
+   * @param {Object} options.tags - Bucket options keyed by task tag
+   */
+  constructor(options = {}) {
+    this.global = options.global ? new TokenBucket(options.global) : null;
+    this.tags = new Map();
+
+    for (const [tag, bucketOptions] of Object.entries(options.tags || {})) {
+      this.tags.set(tag, new TokenBucket(bucketOptions));
+    }
+  }
+
+
+  // Buckets that apply to a task as [name, bucket] pairs; the global bucket is named null
+  _getBuckets(tags) {
+    const buckets = this.global ? [[null, this.global]] : [];
+
+    for (const tag of tags) {
+      if (this.tags.has(tag)) {
+        buckets.push([tag, this.tags.get(tag)]);
+      }
+    }
+
+    return buckets;
+  }
+
+
+  _getBucket(name) {
+    return name === null ? this.global : this.tags.get(name);
+  }
+
+
+  /**
+   * Time until a bucket has a token
+   * @param {string|null} name - Tag of the bucket, null for the global one
+   * @returns {number} - Milliseconds, 0 if a token is available now
+   */
+  getWaitTime(name, now = Date.now()) {
+    return this._getBucket(name).getWaitTime(now);
+  }
+
+
+  /**
+   * Take a token from every bucket that applies, if all of them have one
+   * @param {Array} tags - Tags of the task
+   * @returns {Object} - { wait, limits }: wait is 0 when the tokens were taken, otherwise the
+   *   time in ms until they may be available; limits names the buckets without a token (null for the global one)
+   */
+  acquire(tags, now = Date.now()) {
+    const buckets = this._getBuckets(tags);
+    const limits = [];
+    let wait = 0;
+
+    for (const [name, bucket] of buckets) {
+      const bucketWait = bucket.getWaitTime(now);
+
+      if (bucketWait > 0) {
+        limits.push(name);
+        wait = Math.max(wait, bucketWait);
+      }
+    }
+
+    if (wait === 0) {
+      buckets.forEach(([name, bucket]) => bucket.take(now));
+    }
+
+    return { wait, limits };
+  }
+
+
+  /**
+   * Account time a task spent waiting on the buckets that held it back
+   * @param {Array} limits - Bucket names as returned by acquire()
+   * @param {number} waitTime - Time waited in ms
+   */
+  recordWait(limits, waitTime) {
+    for (const name of limits) {
+      this._getBucket(name).waitTime += waitTime;
+    }
+  }
+
+
+  /**
+   * @param {Array} waiting - Bucket names holding back each task currently waiting for a token
+   * @returns {Object} - Tokens, capacity, refill rate, waiting tasks and total wait time per bucket
+   */
+  getStats(waiting = []) {
+    const now = Date.now();
+    const describe = (name, bucket) => ({
+      tokens: Math.floor(bucket.getTokens(now)),
+      capacity: bucket.capacity,
+      rate: bucket.rate,
+      interval: bucket.interval,
+      waiting: waiting.filter(limits => limits.includes(name)).length,
+      waitTime: bucket.waitTime
+    });
+    const tags = {};
+
+    for (const [tag, bucket] of this.tags.entries()) {
+      tags[tag] = describe(tag, bucket);
+    }
+
+    return {
+      global: this.global ? describe(null, this.global) : null,
+      tags
+    };
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter
+};
@@ -0,0 +1,75 @@
+/**
+ * RetryPolicy - Decides whether a failed task attempt is retried and how long
+ * to wait before the next attempt.
+ */
+class RetryPolicy {
+  /**
+   * Create a new RetryPolicy
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxAttempts - Total attempts including the first one (default: 1)
+   * @param {string} options.backoff - 'fixed' or 'exponential' (default: exponential)
+   * @param {number} options.delay - Base delay in ms (default: 1000)
+   * @param {number} options.factor - Multiplier for exponential backoff (default: 2)
+   * @param {number} options.maxDelay - Upper bound for a single delay in ms (default: 30000)
+   * @param {number|boolean} options.jitter - Fraction of the delay to randomize, true for full jitter (default: 0)
+   * @param {Function} options.retryOn - Predicate (error, attempt) deciding if an error is retryable
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 1;
+    this.backoff = options.backoff || 'exponential';
+    this.delay = options.delay !== undefined ? options.delay : 1000;
+    this.factor = options.factor || 2;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+    this.jitter = options.jitter === true ? 1 : (options.jitter || 0);
+    this.retryOn = options.retryOn || null;
+
+    if (this.backoff !== 'fixed' && this.backoff !== 'exponential') {
+      throw new Error(`Unknown backoff strategy: ${this.backoff}`);
+    }
+
+    if (this.jitter < 0 || this.jitter > 1) {
+      throw new Error('Jitter must be between 0 and 1');
+    }
+  }
+
+
+  /**
+   * Build a policy from a queue-wide default and a per-task override
+   * @param {Object} defaults - Queue-wide retry options
+   * @param {Object} overrides - Task-level retry options
+   * @returns {RetryPolicy}
+   */
+  static merge(defaults = {}, overrides = {}) {
+    return new RetryPolicy({ ...defaults, ...overrides });
+  }
+
+
+  shouldRetry(error, attempt) {
+    if (attempt >= this.maxAttempts) {
+      return false;
+    }
+
+    if (this.retryOn) {
+      return Boolean(this.retryOn(error, attempt));
+    }
+
+    return true;
+  }
+
+
+  /**
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @returns {number} - Delay in ms before the next attempt
+   */
+  getDelay(attempt) {
+    const base = this.backoff === 'fixed'
+      ? this.delay
+      : this.delay * Math.pow(this.factor, attempt - 1);
+
+    const capped = Math.min(base, this.maxDelay);
+
+    return Math.round(capped - capped * this.jitter * Math.random());
+  }
+}
+
+module.exports = RetryPolicy;
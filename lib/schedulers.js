@@ -0,0 +1,69 @@
+/**
+ * Scheduling strategies decide the order in which ready tasks are dispatched.
+ *
+ * A strategy ranks a task when it enters the queue; lower ranks run first.
+ * Equal ranks fall back to the order in which tasks were added to the graph,
+ * so runs are reproducible.
+ */
+
+const fifo = {
+  name: 'fifo',
+  rank: (taskId, task, taskGraph, sequence) => sequence
+};
+
+
+const priority = {
+  name: 'priority',
+  rank: (taskId, task) => -(task.priority || 0)
+};
+
+
+const shortestFirst = {
+  name: 'shortest-first',
+  rank: (taskId, task, taskGraph) => taskGraph.getEstimatedDuration(taskId)
+};
+
+
+const criticalPath = {
+  name: 'critical-path',
+  rank: (taskId, task, taskGraph) => -taskGraph.getDownstreamLength(taskId)
+};
+
+
+const strategies = {
+  [fifo.name]: fifo,
+  [priority.name]: priority,
+  [shortestFirst.name]: shortestFirst,
+  [criticalPath.name]: criticalPath
+};
+
+
+/**
+ * Resolve the `scheduler` option of a QueueManager
+ * @param {string|Function|Object} scheduler - Strategy name, rank function or object with a rank method
+ * @returns {Object} - Strategy with a name and a rank(taskId, task, taskGraph, sequence) method
+ */
+function resolveScheduler(scheduler = 'priority') {
+  if (typeof scheduler === 'string') {
+    if (!strategies[scheduler]) {
+      throw new Error(`Unknown scheduler: ${scheduler}`);
+    }
+
+    return strategies[scheduler];
+  }
+
+  if (typeof scheduler === 'function') {
+    return { name: scheduler.name || 'custom', rank: scheduler };
+  }
+
+  if (scheduler && typeof scheduler.rank === 'function') {
+    return { name: 'custom', ...scheduler };
+  }
+
+  throw new Error('Scheduler must be a strategy name, a rank function or an object with a rank method');
+}
+
+module.exports = {
+  strategies,
+  resolveScheduler
+};
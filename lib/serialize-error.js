@@ -0,0 +1,37 @@
+/**
+ * Errors thrown by handlers in worker threads and child processes cross the
+ * thread or process boundary as plain objects and are rebuilt on the other side.
+ */
+
+/**
+ * Turn a thrown value into a plain object that can be posted or sent over IPC
+ * @param {*} error - Thrown value, usually an Error
+ * @returns {Object} - name, message, stack and code of the error
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error) };
+  }
+
+  return { name: error.name, message: error.message, stack: error.stack, code: error.code };
+}
+
+
+/**
+ * Rebuild an Error from the object made by serializeError
+ * @param {Object} serialized - Serialized error
+ * @returns {Error} - Error with the original name, message, stack and code
+ */
+function deserializeError({ name, message, stack, code }) {
+  const error = new Error(message);
+  error.name = name;
+  error.stack = stack;
+
+  if (code !== undefined) {
+    error.code = code;
+  }
+
+  return error;
+}
+
+module.exports = { serializeError, deserializeError };
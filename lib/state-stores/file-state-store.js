@@ -0,0 +1,112 @@
+/**
+ * FileStateStore - Appends task records to one JSON-lines file per run.
+ *
+ * Appending keeps every write small and crash-safe: when loading, later lines
+ * win and a line cut off by a crash is ignored. Idempotency records are kept
+ * in a `keys` subdirectory, one file per key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StateStore = require('./state-store');
+
+class FileStateStore extends StateStore {
+  /**
+   * Create a new FileStateStore
+   * @param {Object} options - Configuration options
+   * @param {string} options.directory - Directory holding the run files (default: ./.queue-state)
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory || path.join(process.cwd(), '.queue-state');
+    this.ready = null;
+  }
+
+
+  _getPath(runId) {
+    return path.join(this.directory, `${encodeURIComponent(runId)}.jsonl`);
+  }
+
+
+  _getKeyPath(key) {
+    return path.join(this.directory, 'keys', `${encodeURIComponent(key)}.json`);
+  }
+
+
+  _ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.promises.mkdir(path.join(this.directory, 'keys'), { recursive: true });
+    }
+
+    return this.ready;
+  }
+
+
+  async saveTask(runId, record) {
+    await this._ensureDirectory();
+    await fs.promises.appendFile(this._getPath(runId), `${JSON.stringify(record)}\n`);
+  }
+
+
+  async loadRun(runId) {
+    let content;
+
+    try {
+      content = await fs.promises.readFile(this._getPath(runId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      throw error;
+    }
+
+    const records = {};
+
+    for (const line of content.split('\n')) {
+      if (line.trim() === '') {
+        continue;
+      }
+
+      try {
+        const record = JSON.parse(line);
+        records[record.taskId] = record;
+      } catch (error) {
+        // Partially written line from an interrupted process
+      }
+    }
+
+    return records;
+  }
+
+
+  async deleteRun(runId) {
+    await fs.promises.rm(this._getPath(runId), { force: true });
+  }
+
+
+  async saveIdempotencyRecord(key, record) {
+    const filePath = this._getKeyPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    // Written aside and renamed, so a crash never leaves half a record behind
+    await this._ensureDirectory();
+    await fs.promises.writeFile(tempPath, JSON.stringify(record));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+
+  async loadIdempotencyRecord(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._getKeyPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+}
+
+module.exports = FileStateStore;
@@ -0,0 +1,11 @@
+const StateStore = require('./state-store');
+const MemoryStateStore = require('./memory-state-store');
+const FileStateStore = require('./file-state-store');
+const SqliteStateStore = require('./sqlite-state-store');
+
+module.exports = {
+  StateStore,
+  MemoryStateStore,
+  FileStateStore,
+  SqliteStateStore
+};
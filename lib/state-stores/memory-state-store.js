@@ -0,0 +1,49 @@
+/**
+ * MemoryStateStore - Keeps task records in memory. Useful in tests and for
+ * resuming a run within the same process.
+ */
+
+const StateStore = require('./state-store');
+
+class MemoryStateStore extends StateStore {
+  constructor() {
+    super();
+    this.runs = new Map();
+    this.idempotencyRecords = new Map();
+  }
+
+
+  async saveTask(runId, record) {
+    if (!this.runs.has(runId)) {
+      this.runs.set(runId, new Map());
+    }
+
+    this.runs.get(runId).set(record.taskId, JSON.parse(JSON.stringify(record)));
+  }
+
+
+  async loadRun(runId) {
+    if (!this.runs.has(runId)) {
+      return null;
+    }
+
+    return Object.fromEntries(this.runs.get(runId));
+  }
+
+
+  async deleteRun(runId) {
+    this.runs.delete(runId);
+  }
+
+
+  async saveIdempotencyRecord(key, record) {
+    this.idempotencyRecords.set(key, JSON.parse(JSON.stringify(record)));
+  }
+
+
+  async loadIdempotencyRecord(key) {
+    return this.idempotencyRecords.get(key) || null;
+  }
+}
+
+module.exports = MemoryStateStore;
@@ -0,0 +1,131 @@
+/**
+ * SqliteStateStore - Keeps the latest record of every task in an SQLite
+ * database. Requires the optional `better-sqlite3` package.
+ */
+
+const StateStore = require('./state-store');
+
+// The table name is written into the SQL statements, so it has to be a plain identifier
+const TABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class SqliteStateStore extends StateStore {
+  /**
+   * Create a new SqliteStateStore
+   * @param {Object} options - Configuration options
+   * @param {string} options.filename - Database file (default: queue-state.db)
+   * @param {string} options.table - Table holding the records (default: task_states); idempotency
+   *   records go to a second table with a `_keys` suffix
+   * @throws {Error} - If the table name is not a plain SQL identifier
+   */
+  constructor(options = {}) {
+    super();
+    this.filename = options.filename || 'queue-state.db';
+    this.table = options.table || 'task_states';
+
+    if (!TABLE_NAME.test(this.table)) {
+      throw new Error(`Invalid SqliteStateStore table name: ${this.table}`);
+    }
+
+    this.db = null;
+    this.statements = null;
+  }
+
+
+  _open() {
+    if (this.db) {
+      return;
+    }
+
+    let Database;
+
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SqliteStateStore requires the better-sqlite3 package: npm install better-sqlite3');
+    }
+
+    this.db = new Database(this.filename);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        run_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        record TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (run_id, task_id)
+      );
+      CREATE TABLE IF NOT EXISTS ${this.table}_keys (
+        key TEXT PRIMARY KEY,
+        record TEXT NOT NULL,
+        completed_at INTEGER NOT NULL
+      )
+    `);
+
+    this.statements = {
+      save: this.db.prepare(`
+        INSERT INTO ${this.table} (run_id, task_id, record, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (run_id, task_id) DO UPDATE SET record = excluded.record, updated_at = excluded.updated_at
+      `),
+      load: this.db.prepare(`SELECT task_id, record FROM ${this.table} WHERE run_id = ?`),
+      delete: this.db.prepare(`DELETE FROM ${this.table} WHERE run_id = ?`),
+      saveKey: this.db.prepare(`
+        INSERT INTO ${this.table}_keys (key, record, completed_at) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET record = excluded.record, completed_at = excluded.completed_at
+      `),
+      loadKey: this.db.prepare(`SELECT record FROM ${this.table}_keys WHERE key = ?`)
+    };
+  }
+
+
+  async saveTask(runId, record) {
+    this._open();
+    this.statements.save.run(runId, record.taskId, JSON.stringify(record), record.updatedAt);
+  }
+
+
+  async loadRun(runId) {
+    this._open();
+    const rows = this.statements.load.all(runId);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const records = {};
+
+    for (const row of rows) {
+      records[row.task_id] = JSON.parse(row.record);
+    }
+
+    return records;
+  }
+
+
+  async deleteRun(runId) {
+    this._open();
+    this.statements.delete.run(runId);
+  }
+
+
+  async saveIdempotencyRecord(key, record) {
+    this._open();
+    this.statements.saveKey.run(key, JSON.stringify(record), record.completedAt);
+  }
+
+
+  async loadIdempotencyRecord(key) {
+    this._open();
+    const row = this.statements.loadKey.get(key);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.statements = null;
+    }
+  }
+}
+
+module.exports = SqliteStateStore;
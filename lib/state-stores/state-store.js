@@ -0,0 +1,66 @@
+/**
+ * StateStore - Interface for persisting task state transitions so that an
+ * interrupted run can be resumed.
+ *
+ * A store keeps the latest record of every task per run. Records are plain
+ * objects: { taskId, state, result, error, attempts, spawned, updatedAt }, so
+ * results must be JSON-serializable to survive a restart. It also keeps the
+ * results of tasks submitted under an idempotency key.
+ */
+class StateStore {
+  /**
+   * Persist the latest record of a task
+   * @param {string} runId - Run the task belongs to
+   * @param {Object} record - Task record
+   * @returns {Promise}
+   */
+  async saveTask(runId, record) {
+    throw new Error(`${this.constructor.name} does not implement saveTask()`);
+  }
+
+
+  /**
+   * Load the latest record of every task of a run
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} - Records keyed by task ID, or null for an unknown run
+   */
+  async loadRun(runId) {
+    throw new Error(`${this.constructor.name} does not implement loadRun()`);
+  }
+
+
+  /**
+   * Forget a run
+   * @param {string} runId - Run ID
+   * @returns {Promise}
+   */
+  async deleteRun(runId) {
+    throw new Error(`${this.constructor.name} does not implement deleteRun()`);
+  }
+
+
+  /**
+   * Persist the result of a task submitted under an idempotency key
+   * @param {string} key - Idempotency key
+   * @param {Object} record - { key, taskId, runId, result, completedAt }
+   * @returns {Promise}
+   */
+  async saveIdempotencyRecord(key, record) {
+    throw new Error(`${this.constructor.name} does not implement saveIdempotencyRecord()`);
+  }
+
+
+  /**
+   * Load the record saved under an idempotency key
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} - The record, or null for an unknown key
+   */
+  async loadIdempotencyRecord(key) {
+    throw new Error(`${this.constructor.name} does not implement loadIdempotencyRecord()`);
+  }
+
+
+  async close() {}
+}
+
+module.exports = StateStore;
@@ -1,9 +1,64 @@
-class TaskGraph {
+const EventEmitter = require('events');
+const { OPTION_FIELDS, normalizeDefinition } = require('./graph-definition');
+const { GraphDefinitionError } = require('./errors');
+
+const TaskState = Object.freeze({
+  PENDING: 'pending',
+  READY: 'ready',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled'
+});
+
+const TERMINAL_STATES = new Set([
+  TaskState.SUCCEEDED,
+  TaskState.FAILED,
+  TaskState.SKIPPED,
+  TaskState.CANCELLED
+]);
+
+const STATE_COLORS = {
+  [TaskState.PENDING]: { fill: '#eceff1', stroke: '#90a4ae' },
+  [TaskState.READY]: { fill: '#e3f2fd', stroke: '#64b5f6' },
+  [TaskState.RUNNING]: { fill: '#fff59d', stroke: '#fbc02d' },
+  [TaskState.SUCCEEDED]: { fill: '#c8e6c9', stroke: '#43a047' },
+  [TaskState.FAILED]: { fill: '#ffcdd2', stroke: '#e53935' },
+  [TaskState.SKIPPED]: { fill: '#f5f5f5', stroke: '#bdbdbd' },
+  [TaskState.CANCELLED]: { fill: '#ffe0b2', stroke: '#fb8c00' }
+};
+
+// Task options checked by addTask as well, since a start time that is not a
+// number would keep the task waiting forever
+const SCHEDULE_FIELDS = ['runAt', 'delay'];
+
+// Task definition fields that hold task IDs and are namespaced along with the
+// tasks when a graph is embedded with addSubGraph
+const NAMESPACED_FIELDS = ['parentId', 'mapOf', 'itemsFrom', 'expandId'];
+
+class TaskGraph extends EventEmitter {
   constructor() {
+    super();
+
     this.tasks = new Map();
     this.dependencies = new Map();
     this.dependents = new Map();
+    this.edgeOptions = new Map();
+    this.states = new Map();
+    this.unsatisfied = new Map();
+    this.readySet = new Set();
+    this.newlyReady = [];
     this.completed = new Set();
+    this.skipCascades = new Set();
+    this.results = new Map();
+    this.insertionOrder = new Map();
+    this.durationHistory = new Map();
+    this.subGraphs = new Map();
+    this.spawnedTasks = new Set();
+    this.terminalCount = 0;
+    this.version = 0;
+    this._downstreamCache = null;
   }
 
 
@@ -16,19 +71,295 @@ class TaskGraph {
       ? { execute: taskFn, ...options } 
       : { ...taskFn, ...options };
 
+    for (const field of SCHEDULE_FIELDS) {
+      const problem = task[field] !== undefined ? OPTION_FIELDS[field](task[field]) : null;
+
+      if (problem) {
+        throw new GraphDefinitionError(`Task ${taskId}: ${field} ${problem}`, { taskId, field });
+      }
+    }
+
     this.tasks.set(taskId, task);
     this.dependencies.set(taskId, []);
     this.dependents.set(taskId, []);
+    this.edgeOptions.set(taskId, new Map());
+    this.states.set(taskId, TaskState.PENDING);
+    this.unsatisfied.set(taskId, 0);
+    this.insertionOrder.set(taskId, this.insertionOrder.size);
+    this.version++;
+    this._adjustUnsatisfied(taskId, 0);
+    this.emit('task-added', { taskId, task });
     
     return this;
   }
 
 
-  addDependency(taskId, dependsOn) {
+  /**
+   * Remove a task that has not started yet. Its dependents lose the dependency.
+   * @param {string} taskId - Task to remove
+   * @returns {TaskGraph} - Returns this for chaining
+   */
+  removeTask(taskId) {
+    const state = this.getState(taskId);
+
+    if (state !== TaskState.PENDING && state !== TaskState.READY) {
+      throw new Error(`Cannot remove task ${taskId}: it is ${state}`);
+    }
+
+    for (const depId of this.dependencies.get(taskId)) {
+      const dependents = this.dependents.get(depId);
+      dependents.splice(dependents.indexOf(taskId), 1);
+    }
+
+    for (const dependentId of this.dependents.get(taskId)) {
+      const deps = this.dependencies.get(dependentId);
+      deps.splice(deps.indexOf(taskId), 1);
+      this.edgeOptions.get(dependentId).delete(taskId);
+      this._adjustUnsatisfied(dependentId, -1);
+    }
+
+    const task = this.tasks.get(taskId);
+
+    this._setState(taskId, TaskState.PENDING);
+    this.tasks.delete(taskId);
+    this.dependencies.delete(taskId);
+    this.dependents.delete(taskId);
+    this.edgeOptions.delete(taskId);
+    this.states.delete(taskId);
+    this.skipCascades.delete(taskId);
+    this.unsatisfied.delete(taskId);
+    this.insertionOrder.delete(taskId);
+    this.spawnedTasks.delete(taskId);
+    this.version++;
+    this.emit('task-removed', { taskId, task });
+
+    return this;
+  }
+
+
+  /**
+   * Add a task discovered while another task runs. The new task becomes a
+   * dependency of every dependent of the spawning task.
+   * @param {string} parentId - Running task that spawns the child
+   * @param {string} taskId - ID of the new task
+   * @param {Function|Object} taskFn - Task function or definition
+   * @param {Object} options - Task options
+   * @returns {TaskGraph} - Returns this for chaining
+   */
+  spawnTask(parentId, taskId, taskFn, options = {}) {
+    const dependents = this.getDependents(parentId).slice();
+
+    this.addTask(taskId, taskFn, { parentId, ...options });
+    this.spawnedTasks.add(taskId);
+
+    for (const dependentId of dependents) {
+      this.addDependency(dependentId, taskId);
+    }
+
+    return this;
+  }
+
+
+  /**
+   * Add a task that fans out over a list produced at runtime by another task.
+   *
+   * The map task expands into one child task per item of the upstream result
+   * (`<id>[<index>]`), and its own ID becomes the reducer node: it waits for
+   * every child and resolves with their results in item order, or with the
+   * value returned by `options.reduce`. The children are spawned tasks, so
+   * reset() removes them and the next run expands the list again.
+   *
+   * @param {string} taskId - ID of the map task
+   * @param {string} itemsFromTaskId - Task whose result is the array of items
+   * @param {Function} fn - Called as fn(item, index, context) for every item
+   * @param {Object} options - Map options; remaining options are applied to every child
+   * @param {number} options.concurrency - Maximum number of children running at once
+   * @param {Function} options.reduce - Called as reduce(results, context) to combine child results
+   * @returns {TaskGraph} - Returns this for chaining
+   */
+  addMapTask(taskId, itemsFromTaskId, fn, options = {}) {
+    const { concurrency, reduce, ...childOptions } = options;
+    const expandId = `${taskId}:expand`;
+
+    if (!this.tasks.has(itemsFromTaskId)) {
+      throw new Error(`Dependency task with ID ${itemsFromTaskId} does not exist`);
+    }
+
+    // The expand and reduce steps only refer to IDs stored on their own
+    // definitions, so they keep working when the graph is nested in another one.
+    this.addTask(expandId, (task, context) => {
+      const items = context.results[task.itemsFrom];
+
+      if (!Array.isArray(items)) {
+        throw new Error(`Map task ${task.mapOf} expected task ${task.itemsFrom} to return an array`);
+      }
+
+      items.forEach((item, index) => {
+        context.spawn(`${task.mapOf}[${index}]`, (childTask, childContext) => fn(item, index, childContext), {
+          ...childOptions,
+          parentId: task.mapOf,
+          mapIndex: index,
+          concurrencyKey: concurrency ? `map:${task.mapOf}` : undefined,
+          concurrencyLimit: concurrency
+        });
+      });
+
+      return items.length;
+    }, { parentId: taskId, mapOf: taskId, itemsFrom: itemsFromTaskId });
+
+    this.addTask(taskId, (task, context) => {
+      const results = Object.keys(context.results)
+        .filter(depId => depId !== task.expandId)
+        .map(depId => ({ depId, index: Number(/\[(\d+)\]$/.exec(depId)[1]) }))
+        .sort((a, b) => a.index - b.index)
+        .map(({ depId }) => context.results[depId]);
+
+      return reduce ? reduce(results, context) : results;
+    }, { mapTask: true, expandId });
+
+    this.addDependency(expandId, itemsFromTaskId);
+    this.addDependency(taskId, expandId);
+
+    return this;
+  }
+
+
+  /**
+   * Add another graph as a single composite node.
+   *
+   * The sub-graph's tasks are copied in with IDs namespaced as `<id>/<taskId>`.
+   * Dependencies of the composite gate the sub-graph's entry tasks, and tasks
+   * depending on the composite wait for all of its exit tasks. The composite
+   * resolves with the results of the exit tasks keyed by their inner IDs.
+   *
+   * @param {string} taskId - ID of the composite node
+   * @param {TaskGraph} subGraph - Graph to embed; later changes to it are not reflected
+   * @param {Object} options - Options of the composite node
+   * @returns {TaskGraph} - Returns this for chaining
+   */
+  addSubGraph(taskId, subGraph, options = {}) {
+    const startId = `${taskId}:start`;
+    const prefix = (id) => `${taskId}/${id}`;
+    const innerIds = Array.from(subGraph.getAllTasks().keys());
+    const exitIds = innerIds.filter(id => subGraph.getDependents(id).length === 0);
+
+    for (const id of [taskId, startId, ...innerIds.map(prefix)]) {
+      if (this.tasks.has(id)) {
+        throw new Error(`Task with ID ${id} already exists`);
+      }
+    }
+
+    this.addTask(startId, () => undefined, { parentId: taskId });
+
+    for (const id of innerIds) {
+      const task = { ...subGraph.getTask(id) };
+
+      for (const field of NAMESPACED_FIELDS) {
+        if (task[field] !== undefined) {
+          task[field] = prefix(task[field]);
+        }
+      }
+
+      this.addTask(prefix(id), { parentId: taskId, ...task });
+    }
+
+    for (const id of innerIds) {
+      const deps = subGraph.getDependencies(id);
+
+      if (deps.length === 0) {
+        this.addDependency(prefix(id), startId);
+      }
+
+      for (const depId of deps) {
+        this.addDependency(prefix(id), prefix(depId), subGraph.edgeOptions.get(id).get(depId));
+      }
+    }
+
+    for (const [nestedId, nested] of subGraph.subGraphs.entries()) {
+      this.subGraphs.set(prefix(nestedId), { startId: prefix(nested.startId) });
+    }
+
+    // Resolved through the context rather than captured IDs, since this graph may
+    // itself be embedded under another prefix later
+    this.addTask(taskId, (task, context) => {
+      const namespace = `${context.taskId}/`;
+      const results = {};
+
+      for (const [depId, result] of Object.entries(context.results)) {
+        if (depId.startsWith(namespace)) {
+          results[depId.slice(namespace.length)] = result;
+        }
+      }
+
+      return results;
+    }, { ...options, subGraph: true });
+
+    this.addDependency(taskId, exitIds.length > 0 ? exitIds.map(prefix) : [startId]);
+    this.subGraphs.set(taskId, { startId });
+
+    return this;
+  }
+
+
+  /**
+   * Progress of a composite node's inner tasks, including nested and spawned ones
+   * @param {string} taskId - ID of a node added with addSubGraph
+   * @returns {Object} - Number of inner tasks per state plus the total
+   */
+  getSubGraphStats(taskId) {
+    const subGraph = this.subGraphs.get(taskId);
+
+    if (!subGraph) {
+      throw new Error(`Task with ID ${taskId} is not a sub-graph`);
+    }
+
+    const stats = { total: 0 };
+
+    for (const state of Object.values(TaskState)) {
+      stats[state] = 0;
+    }
+
+    for (const [id, state] of this.states.entries()) {
+      if (id === subGraph.startId || id.startsWith(`${taskId}/`)) {
+        stats.total++;
+        stats[state]++;
+      }
+    }
+
+    return stats;
+  }
+
+
+  /**
+   * @param {string} taskId - Dependent task
+   * @param {string|Array} dependsOn - Task ID or IDs the task depends on
+   * @param {Object} options - Edge options
+   * @param {boolean} options.optional - A failure upstream does not block the dependent
+   *   when the run uses the 'continue' failure policy
+   * @param {Function} options.condition - Called as condition(result) with the upstream result;
+   *   the dependent is skipped unless it returns true
+   */
+  addDependency(taskId, dependsOn, options = {}) {
+    // Until a composite's sub-graph has started, its dependencies gate the entry tasks
+    if (this.subGraphs.has(taskId)) {
+      const { startId } = this.subGraphs.get(taskId);
+      const startState = this.states.get(startId);
+
+      if (startState === TaskState.PENDING || startState === TaskState.READY) {
+        taskId = startId;
+      }
+    }
+
     if (!this.tasks.has(taskId)) {
       throw new Error(`Task with ID ${taskId} does not exist`);
     }
 
+    const state = this.states.get(taskId);
+
+    if (state !== TaskState.PENDING && state !== TaskState.READY) {
+      throw new Error(`Cannot add a dependency to task ${taskId}: it is ${state}`);
+    }
+
     const dependencies = Array.isArray(dependsOn) ? dependsOn : [dependsOn];
     
     for (const depId of dependencies) {
@@ -37,150 +368,1037 @@ class TaskGraph {
       }
 
 
-      if (this.wouldCreateCycle(depId, taskId)) {
-        throw new Error(`Adding dependency from ${taskId} to ${depId} would create a cycle`);
+      const cyclePath = this._findDependentPath(taskId, depId);
+
+      if (cyclePath) {
+        const cycle = [taskId, ...cyclePath.reverse()].join(' -> ');
+        throw new Error(`Adding dependency from ${taskId} to ${depId} would create a cycle: ${cycle}`);
       }
 
 
-      if (!this.dependencies.get(taskId).includes(depId)) {
+      const isNewEdge = !this.dependencies.get(taskId).includes(depId);
+      const wasSatisfied = isNewEdge || this.isDependencySatisfied(taskId, depId);
+
+      if (isNewEdge) {
         this.dependencies.get(taskId).push(depId);
         this.dependents.get(depId).push(taskId);
       }
+
+      this.edgeOptions.get(taskId).set(depId, {
+        optional: Boolean(options.optional),
+        condition: options.condition || null
+      });
+
+      const isSatisfied = this.isDependencySatisfied(taskId, depId);
+
+      if (wasSatisfied && !isSatisfied) {
+        this._adjustUnsatisfied(taskId, 1);
+      } else if (!wasSatisfied && isSatisfied) {
+        this._adjustUnsatisfied(taskId, -1);
+      }
     }
 
+    this.version++;
+    this.emit('dependency-added', { taskId, dependencies });
+
     return this;
   }
 
 
-  wouldCreateCycle(from, to) {
-    const visited = new Set();
-    const stack = [to];
+  /**
+   * @param {string} taskId - Dependent task
+   * @param {string} depId - Prospective dependency
+   * @returns {boolean} - Whether making taskId depend on depId would close a cycle
+   */
+  wouldCreateCycle(taskId, depId) {
+    return this._findDependentPath(taskId, depId) !== null;
+  }
 
-    while (stack.length > 0) {
-      const current = stack.pop();
-      
-      if (current === from) {
-        return true;
+
+  // Shortest path from one task to another following dependents, or null.
+  // Searching downstream keeps the check cheap while a graph is built top-down.
+  _findDependentPath(from, to) {
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+
+      if (current === to) {
+        const path = [];
+
+        for (let id = to; id !== null; id = previous.get(id)) {
+          path.unshift(id);
+        }
+
+        return path;
       }
 
-      if (!visited.has(current)) {
-        visited.add(current);
-        
-        for (const dep of this.dependencies.get(current) || []) {
-          stack.push(dep);
+      for (const dependentId of this.dependents.get(current) || []) {
+        if (!previous.has(dependentId)) {
+          previous.set(dependentId, current);
+          queue.push(dependentId);
         }
       }
     }
 
-    return false;
+    return null;
   }
 
 
   getReadyTasks() {
-    const readyTasks = [];
+    return Array.from(this.readySet);
+  }
 
-    for (const [taskId, task] of this.tasks.entries()) {
-      if (this.completed.has(taskId)) {
+
+  /**
+   * Tasks that became ready since the previous call, for consumers that track
+   * the ready set incrementally instead of rescanning it
+   * @returns {Array} - Task IDs
+   */
+  takeReadyTasks() {
+    const readyTasks = this.newlyReady.filter(taskId => this.states.get(taskId) === TaskState.READY);
+    this.newlyReady = [];
+    return readyTasks;
+  }
+
+
+  _adjustUnsatisfied(taskId, delta) {
+    const remaining = this.unsatisfied.get(taskId) + delta;
+    const state = this.states.get(taskId);
+    this.unsatisfied.set(taskId, remaining);
+
+    if (remaining === 0 && state === TaskState.PENDING) {
+      this._setState(taskId, TaskState.READY);
+    } else if (remaining > 0 && state === TaskState.READY) {
+      this._setState(taskId, TaskState.PENDING);
+    }
+  }
+
+
+  _releaseDependents(taskId) {
+    for (const dependentId of this.dependents.get(taskId)) {
+      if (this.isDependencySatisfied(dependentId, taskId)) {
+        this._adjustUnsatisfied(dependentId, -1);
+      }
+    }
+  }
+
+
+  isDependencySatisfied(taskId, depId) {
+    const state = this.states.get(depId);
+
+    if (state === TaskState.SUCCEEDED) {
+      return true;
+    }
+
+    if (state === TaskState.SKIPPED) {
+      return !this.skipCascades.has(depId);
+    }
+
+    const edge = this.edgeOptions.get(taskId).get(depId);
+    return state === TaskState.FAILED && Boolean(edge && edge.optional);
+  }
+
+
+  /**
+   * Evaluate the conditional edges and the `when` guard of a ready task
+   * @param {string} taskId - Ready task
+   * @returns {Object} - { run: boolean, reason } where reason is 'condition' or 'guard' when run is false
+   */
+  evaluateGuards(taskId) {
+    const task = this.getTask(taskId);
+
+    for (const [depId, edge] of this.edgeOptions.get(taskId).entries()) {
+      if (!edge.condition) {
         continue;
       }
 
-      const deps = this.dependencies.get(taskId) || [];
-      const allDepsCompleted = deps.every(depId => this.completed.has(depId));
+      if (this.states.get(depId) !== TaskState.SUCCEEDED || !edge.condition(this.results.get(depId))) {
+        return { run: false, reason: 'condition', dependency: depId };
+      }
+    }
 
-      if (allDepsCompleted) {
-        readyTasks.push(taskId);
+    if (typeof task.when === 'function') {
+      const results = this.getUpstreamResults(taskId, task.resultScope);
+
+      if (!task.when({ taskId, task, results })) {
+        return { run: false, reason: 'guard' };
       }
     }
 
-    return readyTasks;
+    return { run: true };
   }
 
-
-  markCompleted(taskId) {
+  getState(taskId) {
     if (!this.tasks.has(taskId)) {
       throw new Error(`Task with ID ${taskId} does not exist`);
     }
 
-    this.completed.add(taskId);
+    return this.states.get(taskId);
   }
 
 
-  reset() {
-    this.completed.clear();
+  isTerminal(taskId) {
+    return TERMINAL_STATES.has(this.getState(taskId));
   }
 
 
-  isComplete() {
-    return this.completed.size === this.tasks.size;
+  _setState(taskId, state) {
+    const previous = this.states.get(taskId);
+
+    if (previous === state) {
+      return;
+    }
+
+    if (TERMINAL_STATES.has(previous)) {
+      this.terminalCount--;
+    }
+
+    if (TERMINAL_STATES.has(state)) {
+      this.terminalCount++;
+    }
+
+    if (previous === TaskState.SUCCEEDED) {
+      this.completed.delete(taskId);
+      this.results.delete(taskId);
+    }
+
+    if (state === TaskState.SUCCEEDED) {
+      this.completed.add(taskId);
+    }
+
+    this.states.set(taskId, state);
+
+    if (state === TaskState.READY) {
+      this.readySet.add(taskId);
+      this.newlyReady.push(taskId);
+    } else {
+      this.readySet.delete(taskId);
+    }
+
+    this.emit('state-change', { taskId, task: this.tasks.get(taskId), state, previousState: previous });
+
+    if (state === TaskState.SUCCEEDED || state === TaskState.FAILED || state === TaskState.SKIPPED) {
+      this._releaseDependents(taskId);
+    }
   }
 
 
-  getTask(taskId) {
+  markRunning(taskId) {
+    if (this.isTerminal(taskId)) {
+      throw new Error(`Task with ID ${taskId} has already finished`);
+    }
+
+    this._setState(taskId, TaskState.RUNNING);
+  }
+
+
+  markCompleted(taskId, result) {
     if (!this.tasks.has(taskId)) {
       throw new Error(`Task with ID ${taskId} does not exist`);
     }
-    
-    return this.tasks.get(taskId);
+
+    // Listeners to the state change may look up the result already
+    this.results.set(taskId, result);
+    this._setState(taskId, TaskState.SUCCEEDED);
   }
 
 
-  getAllTasks() {
-    return this.tasks;
+  getResult(taskId) {
+    if (!this.tasks.has(taskId)) {
+      throw new Error(`Task with ID ${taskId} does not exist`);
+    }
+
+    return this.results.get(taskId);
   }
 
 
-  getDependencies(taskId) {
+  /**
+   * Collect the results a task can see when it executes
+   * @param {string} taskId - Task about to execute
+   * @param {string} scope - 'dependencies' for direct dependencies, 'ancestors' for every upstream task
+   * @returns {Object} - Results of succeeded upstream tasks keyed by task ID;
+   *   inside a sub-graph, tasks of the same sub-graph are keyed by their inner IDs
+   */
+  getUpstreamResults(taskId, scope = 'dependencies') {
+    const upstream = scope === 'ancestors'
+      ? this.getAncestors(taskId)
+      : this.getDependencies(taskId);
+    const { parentId } = this.tasks.get(taskId);
+    const namespace = this.subGraphs.has(parentId) ? `${parentId}/` : null;
+    const results = {};
+
+    for (const depId of upstream) {
+      if (!this.results.has(depId)) {
+        continue;
+      }
+
+      // Only siblings are renamed: composites and map reducers nested in the
+      // sub-graph read their own children under the full IDs
+      const isSibling = namespace !== null && depId.startsWith(namespace)
+        && this.tasks.get(depId).parentId === parentId;
+
+      results[isSibling ? depId.slice(namespace.length) : depId] = this.results.get(depId);
+    }
+
+    return results;
+  }
+
+
+  getAncestors(taskId) {
+    const ancestors = new Set();
+    const stack = [...this.getDependencies(taskId)];
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+
+      if (!ancestors.has(current)) {
+        ancestors.add(current);
+        stack.push(...this.dependencies.get(current));
+      }
+    }
+
+    return Array.from(ancestors);
+  }
+
+
+  markFailed(taskId) {
     if (!this.tasks.has(taskId)) {
       throw new Error(`Task with ID ${taskId} does not exist`);
     }
-    
-    return this.dependencies.get(taskId);
+
+    this._setState(taskId, TaskState.FAILED);
   }
 
 
-  getDependents(taskId) {
+  /**
+   * @param {string} taskId - Task to skip
+   * @param {Object} options - Skip options
+   * @param {boolean} options.cascade - Dependents are blocked by the skip (default: true);
+   *   when false they treat the skipped task as satisfied
+   */
+  markSkipped(taskId, options = {}) {
     if (!this.tasks.has(taskId)) {
       throw new Error(`Task with ID ${taskId} does not exist`);
     }
-    
-    return this.dependents.get(taskId);
+
+    if (options.cascade === false) {
+      this.skipCascades.delete(taskId);
+    } else {
+      this.skipCascades.add(taskId);
+    }
+
+    this._setState(taskId, TaskState.SKIPPED);
+  }
+
+
+  markCancelled(taskId) {
+    if (!this.tasks.has(taskId)) {
+      throw new Error(`Task with ID ${taskId} does not exist`);
+    }
+
+    this._setState(taskId, TaskState.CANCELLED);
   }
 
 
   /**
-   * @returns {Array} - Array of task IDs in topological order
+   * Mark every task downstream of a failed or cancelled task as skipped
+   * @param {string} taskId - Task that did not succeed
+   * @param {Object} options - Propagation options
+   * @param {boolean} options.honorOptional - Do not propagate over optional edges out of failed tasks
+   * @returns {Array} - IDs of the tasks that were skipped
    */
-  getTopologicalOrder() {
-    const visited = new Set();
-    const temp = new Set();
-    const order = [];
-    
-    const visit = (taskId) => {
-      if (temp.has(taskId)) {
-        throw new Error('Graph has a cycle');
-      }
-      
-      if (!visited.has(taskId)) {
-        temp.add(taskId);
-        
-        const deps = this.dependencies.get(taskId) || [];
-        for (const depId of deps) {
-          visit(depId);
+  skipDependents(taskId, options = {}) {
+    const skipped = [];
+    const stack = [taskId];
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+
+      for (const dependentId of this.dependents.get(current)) {
+        if (this.isTerminal(dependentId) || this.states.get(dependentId) === TaskState.RUNNING) {
+          continue;
         }
-        
-        temp.delete(taskId);
-        visited.add(taskId);
-        order.push(taskId);
-      }
-    };
-    
-    for (const taskId of this.tasks.keys()) {
-      if (!visited.has(taskId)) {
-        visit(taskId);
+
+        if (options.honorOptional && this.isDependencySatisfied(dependentId, current)) {
+          continue;
+        }
+
+        this.markSkipped(dependentId);
+        skipped.push(dependentId);
+        stack.push(dependentId);
       }
     }
-    
-    return order.reverse();
+
+    return skipped;
   }
-}
+
+
+  /**
+   * @returns {Object} - Task IDs grouped by state
+   */
+  getSummary() {
+    const summary = {};
+
+    for (const state of Object.values(TaskState)) {
+      summary[state] = [];
+    }
+
+    for (const [taskId, state] of this.states.entries()) {
+      summary[state].push(taskId);
+    }
+
+    return summary;
+  }
+
+
+  reset() {
+    this.completed.clear();
+    this.skipCascades.clear();
+    this.results.clear();
+    this.terminalCount = 0;
+    this.readySet.clear();
+    this.newlyReady = [];
+    this.version++;
+
+    for (const [taskId, deps] of this.dependencies.entries()) {
+      this.states.set(taskId, TaskState.PENDING);
+      this.unsatisfied.set(taskId, deps.length);
+    }
+
+    for (const taskId of this.tasks.keys()) {
+      this._adjustUnsatisfied(taskId, 0);
+    }
+
+    // Tasks spawned during the run are spawned again by the next one
+    for (const taskId of [...this.spawnedTasks].reverse()) {
+      this.removeTask(taskId);
+    }
+  }
+
+
+  isComplete() {
+    return this.terminalCount === this.tasks.size;
+  }
+
+
+  getTask(taskId) {
+    if (!this.tasks.has(taskId)) {
+      throw new Error(`Task with ID ${taskId} does not exist`);
+    }
+    
+    return this.tasks.get(taskId);
+  }
+
+
+  getAllTasks() {
+    return this.tasks;
+  }
+
+
+  getDependencies(taskId) {
+    if (!this.tasks.has(taskId)) {
+      throw new Error(`Task with ID ${taskId} does not exist`);
+    }
+    
+    return this.dependencies.get(taskId);
+  }
+
+
+  getDependents(taskId) {
+    if (!this.tasks.has(taskId)) {
+      throw new Error(`Task with ID ${taskId} does not exist`);
+    }
+    
+    return this.dependents.get(taskId);
+  }
+
+
+  getInsertionIndex(taskId) {
+    return this.insertionOrder.get(taskId);
+  }
+
+
+  /**
+   * Serialize the graph definition. Tasks are written with their handler name,
+   * dependencies and serializable options; task functions and edge conditions
+   * are not serialized.
+   * @returns {Object} - Definition accepted by TaskGraph.fromJSON
+   */
+  toJSON() {
+    const tasks = [];
+
+    for (const [taskId, task] of this.tasks.entries()) {
+      const definition = { id: taskId };
+
+      if (task.handler !== undefined) {
+        definition.handler = task.handler;
+      }
+
+      for (const field of Object.keys(OPTION_FIELDS)) {
+        if (task[field] !== undefined && typeof task[field] !== 'function') {
+          definition[field] = task[field];
+        }
+      }
+
+      definition.dependencies = this.dependencies.get(taskId).map(depId => {
+        const { optional } = this.edgeOptions.get(taskId).get(depId);
+        return optional ? { task: depId, optional } : depId;
+      });
+
+      tasks.push(definition);
+    }
+
+    return { tasks };
+  }
+
+
+  /**
+   * Build a graph from a definition, resolving handlers by name
+   * @param {Object|string} json - Definition object or JSON string
+   * @param {HandlerRegistry} registry - Registry holding the referenced handlers
+   * @returns {TaskGraph}
+   * @throws {GraphDefinitionError} - If the definition is invalid
+   */
+  static fromJSON(json, registry) {
+    const definition = typeof json === 'string' ? JSON.parse(json) : json;
+    const graph = new TaskGraph();
+    const tasks = normalizeDefinition(definition, registry);
+
+    for (const { id, handler, options } of tasks) {
+      graph.addTask(id, handler === undefined ? options : { execute: registry.get(handler), handler, ...options });
+    }
+
+    for (const { id, dependencies } of tasks) {
+      for (const dependency of dependencies) {
+        try {
+          graph.addDependency(id, dependency.id, { optional: dependency.optional });
+        } catch (error) {
+          throw new GraphDefinitionError(`Task ${id}: ${error.message}`, { taskId: id, field: 'dependencies' });
+        }
+      }
+    }
+
+    return graph;
+  }
+
+
+  /**
+   * Render the graph as a Graphviz DOT digraph. Edges point from a dependency
+   * to its dependent; optional edges are dashed and conditional ones labelled.
+   * @param {Object} options - Rendering options
+   * @param {boolean} options.colorByState - Fill nodes by their current state (default: true)
+   * @param {string} options.direction - Graph direction, e.g. 'TB' or 'LR' (default: TB)
+   * @returns {string}
+   */
+  toDot(options = {}) {
+    const { colorByState = true, direction = 'TB' } = options;
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const quote = (value) => `"${escape(value)}"`;
+    const lines = [
+      'digraph TaskGraph {',
+      `  rankdir=${direction};`,
+      '  node [shape=box, style="rounded,filled", fillcolor="#ffffff"];'
+    ];
+
+    for (const taskId of this.tasks.keys()) {
+      const state = this.states.get(taskId);
+      const attributes = [`label="${escape(taskId)}\\n${state}"`];
+
+      if (colorByState) {
+        attributes.push(`fillcolor=${quote(STATE_COLORS[state].fill)}`, `color=${quote(STATE_COLORS[state].stroke)}`);
+      }
+
+      lines.push(`  ${quote(taskId)} [${attributes.join(', ')}];`);
+    }
+
+    for (const [taskId, deps] of this.dependencies.entries()) {
+      for (const depId of deps) {
+        const { optional, condition } = this.edgeOptions.get(taskId).get(depId);
+        const attributes = [];
+
+        if (optional) {
+          attributes.push('style=dashed');
+        }
+
+        if (condition) {
+          attributes.push('label="condition"');
+        }
+
+        lines.push(`  ${quote(depId)} -> ${quote(taskId)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+      }
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+
+  /**
+   * Render the graph as a Mermaid flowchart, with the same conventions as toDot
+   * @param {Object} options - Rendering options
+   * @param {boolean} options.colorByState - Style nodes by their current state (default: true)
+   * @param {string} options.direction - Flowchart direction, e.g. 'TD' or 'LR' (default: TD)
+   * @returns {string}
+   */
+  toMermaid(options = {}) {
+    const { colorByState = true, direction = 'TD' } = options;
+    const nodeIds = new Map();
+    const byState = new Map();
+    const lines = [`flowchart ${direction}`];
+
+    // Mermaid node IDs must be plain identifiers, so task IDs only appear in labels
+    for (const taskId of this.tasks.keys()) {
+      const nodeId = `n${nodeIds.size}`;
+      const state = this.states.get(taskId);
+      const label = `${taskId}<br/>${state}`.replace(/"/g, '#quot;');
+
+      nodeIds.set(taskId, nodeId);
+      lines.push(`  ${nodeId}["${label}"]`);
+
+      if (!byState.has(state)) {
+        byState.set(state, []);
+      }
+
+      byState.get(state).push(nodeId);
+    }
+
+    for (const [taskId, deps] of this.dependencies.entries()) {
+      for (const depId of deps) {
+        const { optional, condition } = this.edgeOptions.get(taskId).get(depId);
+        const arrow = optional ? '-.->' : '-->';
+
+        lines.push(`  ${nodeIds.get(depId)} ${arrow}${condition ? '|condition|' : ''} ${nodeIds.get(taskId)}`);
+      }
+    }
+
+    if (colorByState) {
+      for (const [state, stateNodeIds] of byState.entries()) {
+        lines.push(`  classDef ${state} fill:${STATE_COLORS[state].fill},stroke:${STATE_COLORS[state].stroke}`);
+        lines.push(`  class ${stateNodeIds.join(',')} ${state}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+
+  /**
+   * Expected duration of a task: the estimatedDuration option, else the duration
+   * learned from previous runs, else 1
+   * @param {string} taskId - Task ID
+   * @returns {number}
+   */
+  getEstimatedDuration(taskId) {
+    const task = this.getTask(taskId);
+
+    if (typeof task.estimatedDuration === 'number') {
+      return task.estimatedDuration;
+    }
+
+    const history = this.durationHistory.get(taskId);
+    return history ? history.average : 1;
+  }
+
+
+  /**
+   * Learn from a finished run. Learned durations take effect on the next run.
+   * @param {string} taskId - Task ID
+   * @param {number} duration - Observed duration in ms
+   */
+  recordDuration(taskId, duration) {
+    const history = this.durationHistory.get(taskId);
+
+    if (!history) {
+      this.durationHistory.set(taskId, { average: duration, samples: 1 });
+      return;
+    }
+
+    history.samples++;
+    history.average += (duration - history.average) / history.samples;
+  }
+
+
+  getDurationHistory() {
+    const history = {};
+
+    for (const [taskId, entry] of this.durationHistory.entries()) {
+      history[taskId] = { ...entry };
+    }
+
+    return history;
+  }
+
+
+  loadDurationHistory(history) {
+    for (const [taskId, entry] of Object.entries(history)) {
+      this.durationHistory.set(taskId, { average: entry.average, samples: entry.samples || 1 });
+    }
+
+    this.version++;
+    return this;
+  }
+
+
+  /**
+   * Earliest/latest start and finish times of every task, assuming unlimited concurrency
+   * @returns {Map} - Task ID to { earliestStart, earliestFinish, latestStart, latestFinish, slack }
+   */
+  getSchedule() {
+    const order = this._kahnOrder();
+    const schedule = new Map();
+    let makespan = 0;
+
+    for (const taskId of order) {
+      let earliestStart = 0;
+
+      for (const depId of this.dependencies.get(taskId)) {
+        earliestStart = Math.max(earliestStart, schedule.get(depId).earliestFinish);
+      }
+
+      const earliestFinish = earliestStart + this.getEstimatedDuration(taskId);
+      makespan = Math.max(makespan, earliestFinish);
+      schedule.set(taskId, { earliestStart, earliestFinish, latestStart: 0, latestFinish: 0, slack: 0 });
+    }
+
+    for (let i = order.length - 1; i >= 0; i--) {
+      const entry = schedule.get(order[i]);
+      let latestFinish = makespan;
+
+      for (const dependentId of this.dependents.get(order[i])) {
+        latestFinish = Math.min(latestFinish, schedule.get(dependentId).latestStart);
+      }
+
+      entry.latestFinish = latestFinish;
+      entry.latestStart = latestFinish - (entry.earliestFinish - entry.earliestStart);
+      entry.slack = entry.latestStart - entry.earliestStart;
+    }
+
+    return schedule;
+  }
+
+
+  getSlack(taskId) {
+    this.getTask(taskId);
+    return this.getSchedule().get(taskId).slack;
+  }
+
+
+  /**
+   * @returns {Object} - Tasks on the longest weighted path and the path's total duration
+   */
+  getCriticalPath() {
+    const schedule = this.getSchedule();
+    const path = [];
+    let current = null;
+    let duration = 0;
+
+    for (const [taskId, entry] of schedule.entries()) {
+      if (current === null || entry.earliestFinish > duration) {
+        current = taskId;
+        duration = entry.earliestFinish;
+      }
+    }
+
+    while (current !== null) {
+      path.unshift(current);
+
+      const { earliestStart } = schedule.get(current);
+      current = this.dependencies.get(current)
+        .find(depId => schedule.get(depId).earliestFinish === earliestStart) || null;
+    }
+
+    return { path, duration };
+  }
+
+
+  /**
+   * Length of the longest path from a task to any sink, weighted by estimated duration
+   * @param {string} taskId - Task ID
+   * @returns {number} - Sum of estimated durations along the longest downstream path, including the task
+   */
+  getDownstreamLength(taskId) {
+    if (!this._downstreamCache || this._downstreamCache.version !== this.version) {
+      this._downstreamCache = { version: this.version, lengths: this._computeDownstreamLengths() };
+    }
+
+    return this._downstreamCache.lengths.get(taskId);
+  }
+
+
+  _computeDownstreamLengths() {
+    const lengths = new Map();
+    const order = this._kahnOrder();
+
+    for (let i = order.length - 1; i >= 0; i--) {
+      const taskId = order[i];
+      let longest = 0;
+
+      for (const dependentId of this.dependents.get(taskId)) {
+        longest = Math.max(longest, lengths.get(dependentId));
+      }
+
+      lengths.set(taskId, this.getEstimatedDuration(taskId) + longest);
+    }
+
+    return lengths;
+  }
+
+
+  _kahnOrder() {
+    const inDegree = new Map();
+    const order = [];
+
+    for (const [taskId, deps] of this.dependencies.entries()) {
+      inDegree.set(taskId, deps.length);
+
+      if (deps.length === 0) {
+        order.push(taskId);
+      }
+    }
+
+    for (let i = 0; i < order.length; i++) {
+      for (const dependentId of this.dependents.get(order[i])) {
+        const remaining = inDegree.get(dependentId) - 1;
+        inDegree.set(dependentId, remaining);
+
+        if (remaining === 0) {
+          order.push(dependentId);
+        }
+      }
+    }
+
+    return order;
+  }
+
+
+  /**
+   * Deadline that applies to a task: the smallest `deadline` option (ms after
+   * the start of the run) of the task and its parents
+   * @param {string} taskId - Task ID
+   * @returns {number|null}
+   */
+  getDeadline(taskId) {
+    const visited = new Set();
+    let deadline = null;
+
+    for (let id = taskId; id && this.tasks.has(id) && !visited.has(id); id = this.tasks.get(id).parentId) {
+      const task = this.tasks.get(id);
+      visited.add(id);
+
+      if (typeof task.deadline === 'number' && (deadline === null || task.deadline < deadline)) {
+        deadline = task.deadline;
+      }
+    }
+
+    return deadline;
+  }
+
+
+  /**
+   * Statically analyse the graph.
+   *
+   * Errors make a graph impossible to run to completion: dependency cycles,
+   * tasks that can never become ready because of a cycle, and tasks without a
+   * function. Warnings point at likely mistakes: orphaned tasks, redundant
+   * edges and timeouts longer than a parent's deadline.
+   *
+   * @returns {Object} - Validation report
+   */
+  validate() {
+    const issues = [];
+    const cycles = this._findCycles();
+    const inCycle = new Set(cycles.flat());
+    const order = this._kahnOrder();
+    const sorted = new Set(order);
+    const unreachable = Array.from(this.tasks.keys()).filter(id => !sorted.has(id) && !inCycle.has(id));
+    const missingHandlers = [];
+    const orphans = [];
+    const deadlineViolations = [];
+
+    for (const cycle of cycles) {
+      issues.push({ type: 'cycle', severity: 'error', taskId: cycle[0], message: `Dependency cycle: ${cycle.join(' -> ')}` });
+    }
+
+    for (const taskId of unreachable) {
+      issues.push({ type: 'unreachable', severity: 'error', taskId, message: `Task ${taskId} depends on a cycle and can never run` });
+    }
+
+    for (const [taskId, task] of this.tasks.entries()) {
+      if (typeof task.execute !== 'function' && !(task.mode && task.module)) {
+        missingHandlers.push(taskId);
+        issues.push({ type: 'missing-handler', severity: 'error', taskId, message: `Task ${taskId} has no execute function` });
+      }
+
+      const isolated = this.tasks.size > 1 && this.dependencies.get(taskId).length === 0 && this.dependents.get(taskId).length === 0;
+
+      if ((task.parentId && !this.tasks.has(task.parentId)) || isolated) {
+        orphans.push(taskId);
+        issues.push({
+          type: 'orphan',
+          severity: 'warning',
+          taskId,
+          message: isolated
+            ? `Task ${taskId} is not connected to any other task`
+            : `Task ${taskId} refers to missing parent ${task.parentId}`
+        });
+      }
+
+      const parentDeadline = task.parentId ? this.getDeadline(task.parentId) : null;
+
+      if (typeof task.timeout === 'number' && parentDeadline !== null && task.timeout > parentDeadline) {
+        deadlineViolations.push({ taskId, timeout: task.timeout, deadline: parentDeadline });
+        issues.push({
+          type: 'deadline',
+          severity: 'warning',
+          taskId,
+          message: `Task ${taskId} has a ${task.timeout}ms timeout but must finish within the ${parentDeadline}ms deadline of its parents`
+        });
+      }
+    }
+
+    const redundantEdges = this._findRedundantEdges();
+
+    for (const { taskId, dependsOn, via } of redundantEdges) {
+      issues.push({
+        type: 'redundant-edge',
+        severity: 'warning',
+        taskId,
+        message: `Dependency of ${taskId} on ${dependsOn} is implied by ${taskId} -> ${via.join(' -> ')}`
+      });
+    }
+
+    const levels = new Map();
+    const width = new Map();
+
+    for (const taskId of order) {
+      const level = this.dependencies.get(taskId).reduce((max, depId) => Math.max(max, levels.get(depId) + 1), 0);
+      levels.set(taskId, level);
+      width.set(level, (width.get(level) || 0) + 1);
+    }
+
+    return {
+      valid: !issues.some(issue => issue.severity === 'error'),
+      issues,
+      cycles,
+      unreachable,
+      missingHandlers,
+      orphans,
+      redundantEdges,
+      deadlineViolations,
+      depth: width.size,
+      width: width.size > 0 ? Math.max(...width.values()) : 0
+    };
+  }
+
+
+  // Every dependency cycle found by a depth-first walk, as task ID paths that
+  // start and end with the same task (each task depends on the next one)
+  _findCycles() {
+    const onStack = new Set();
+    const done = new Set();
+    const cycles = [];
+
+    for (const root of this.tasks.keys()) {
+      if (done.has(root)) {
+        continue;
+      }
+
+      const path = [root];
+      const pending = [this.dependencies.get(root)[Symbol.iterator]()];
+      onStack.add(root);
+
+      while (path.length > 0) {
+        const next = pending[pending.length - 1].next();
+
+        if (next.done) {
+          const taskId = path.pop();
+          pending.pop();
+          onStack.delete(taskId);
+          done.add(taskId);
+        } else if (onStack.has(next.value)) {
+          cycles.push([...path.slice(path.indexOf(next.value)), next.value]);
+        } else if (!done.has(next.value)) {
+          path.push(next.value);
+          pending.push(this.dependencies.get(next.value)[Symbol.iterator]());
+          onStack.add(next.value);
+        }
+      }
+    }
+
+    return cycles;
+  }
+
+
+  // Plain edges whose dependency is also reached through another dependency
+  _findRedundantEdges() {
+    const redundant = [];
+
+    for (const [taskId, deps] of this.dependencies.entries()) {
+      if (deps.length < 2) {
+        continue;
+      }
+
+      const direct = new Set(deps);
+      const previous = new Map();
+      const queue = [];
+
+      for (const depId of deps) {
+        for (const upstreamId of this.dependencies.get(depId)) {
+          if (!previous.has(upstreamId)) {
+            previous.set(upstreamId, depId);
+            queue.push(upstreamId);
+          }
+        }
+      }
+
+      for (let i = 0; i < queue.length; i++) {
+        for (const upstreamId of this.dependencies.get(queue[i])) {
+          if (!previous.has(upstreamId)) {
+            previous.set(upstreamId, queue[i]);
+            queue.push(upstreamId);
+          }
+        }
+      }
+
+      for (const depId of deps) {
+        const { optional, condition } = this.edgeOptions.get(taskId).get(depId);
+
+        if (!previous.has(depId) || optional || condition) {
+          continue;
+        }
+
+        // Walk back to the direct dependency the longer path starts from
+        const via = [depId];
+        let id = depId;
+
+        do {
+          id = previous.get(id);
+          via.unshift(id);
+        } while (!direct.has(id));
+
+        redundant.push({ taskId, dependsOn: depId, via });
+      }
+    }
+
+    return redundant;
+  }
+
+
+  /**
+   * @returns {Array} - Array of task IDs in topological order
+   */
+  getTopologicalOrder() {
+    const order = this._kahnOrder();
+
+    if (order.length < this.tasks.size) {
+      throw new Error('Graph has a cycle');
+    }
+
+    return order;
+  }
+}
+TaskGraph.TaskState = TaskState;
+
 module.exports = TaskGraph;
\ No newline at end of file
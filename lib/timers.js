@@ -0,0 +1,17 @@
+/**
+ * Helpers for timers that may have to wait longer than setTimeout allows.
+ */
+
+// Longest delay setTimeout accepts; later wake-ups are split into several timers
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Delay of the next timer towards a point in time
+ * @param {number} time - Timestamp to wake up at
+ * @returns {number} - Milliseconds until then, capped at MAX_TIMER_DELAY
+ */
+function getTimerDelay(time) {
+  return Math.min(Math.max(time - Date.now(), 0), MAX_TIMER_DELAY);
+}
+
+module.exports = { MAX_TIMER_DELAY, getTimerDelay };
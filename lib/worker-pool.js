@@ -0,0 +1,235 @@
+/**
+ * WorkerPool - Runs task handlers from module files on a pool of
+ * worker_threads, so CPU-bound tasks do not block the main event loop.
+ *
+ * Threads are started on demand up to the pool size. Inputs and results are
+ * copied with the structured clone algorithm. A thread that crashes or is
+ * aborted is terminated and replaced; the job fails with an error instead of
+ * taking the process down.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { WorkerCrashedError } = require('./errors');
+const { deserializeError } = require('./serialize-error');
+
+const RUNNER_PATH = path.join(__dirname, 'worker-runner.js');
+
+class WorkerPool extends EventEmitter {
+  /**
+   * Create a new WorkerPool
+   * @param {Object} options - Configuration options
+   * @param {number} options.size - Maximum number of threads (default: 4)
+   * @param {Object} options.resourceLimits - resourceLimits passed to every Worker
+   */
+  constructor(options = {}) {
+    super();
+
+    this.size = options.size || 4;
+    this.resourceLimits = options.resourceLimits;
+    this.idle = [];
+    this.busy = new Map();
+    this.waiting = [];
+    this.nextJobId = 1;
+  }
+
+
+  get threadCount() {
+    return this.idle.length + this.busy.size;
+  }
+
+
+  /**
+   * Run a handler exported by a module on a pool thread
+   * @param {Object} job - { module, exportName, task, context, taskId }, plus an optional
+   *   onProgress(fraction, message) called when the handler reports progress
+   * @param {AbortSignal} signal - Aborting terminates the thread running the job
+   * @returns {Promise} - Resolves with the handler's result
+   */
+  run(job, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = { job, signal, resolve, reject, worker: null, onAbort: null };
+
+      if (signal) {
+        entry.onAbort = () => this._abort(entry);
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.waiting.push(entry);
+      this._dispatch();
+    });
+  }
+
+
+  /**
+   * Change the maximum number of threads. Surplus idle threads are stopped
+   * right away, busy ones once their job is done.
+   * @param {number} size - New pool size
+   */
+  resize(size) {
+    this.size = size;
+
+    while (this.threadCount > this.size && this.idle.length > 0) {
+      this.idle.pop().terminate();
+    }
+
+    this._dispatch();
+    return this;
+  }
+
+
+  /**
+   * Terminate every thread and reject jobs that have not finished
+   * @returns {Promise}
+   */
+  async destroy() {
+    const error = new Error('Worker pool destroyed');
+
+    for (const entry of this.waiting.splice(0)) {
+      this._settle(entry, error);
+    }
+
+    const workers = [...this.idle, ...this.busy.keys()];
+
+    for (const entry of this.busy.values()) {
+      this._settle(entry, error);
+    }
+
+    this.idle = [];
+    this.busy.clear();
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+
+  _dispatch() {
+    while (this.waiting.length > 0) {
+      let worker = this.idle.pop();
+
+      if (!worker) {
+        if (this.threadCount >= this.size) {
+          return;
+        }
+
+        worker = this._createWorker();
+      }
+
+      const entry = this.waiting.shift();
+      const { job } = entry;
+
+      entry.worker = worker;
+      entry.jobId = this.nextJobId++;
+      this.busy.set(worker, entry);
+      worker.ref();
+
+      try {
+        worker.postMessage({
+          jobId: entry.jobId,
+          module: job.module,
+          exportName: job.exportName,
+          task: job.task,
+          context: job.context
+        });
+      } catch (error) {
+        // Inputs that cannot be cloned fail the job but leave the thread usable
+        this.busy.delete(worker);
+        this._release(worker);
+        this._settle(entry, error);
+      }
+    }
+  }
+
+
+  _createWorker() {
+    const worker = new Worker(RUNNER_PATH, { resourceLimits: this.resourceLimits });
+
+    worker.on('message', ({ jobId, result, error, progress }) => {
+      const entry = this.busy.get(worker);
+
+      if (!entry || entry.jobId !== jobId) {
+        return;
+      }
+
+      if (progress) {
+        if (entry.job.onProgress) {
+          entry.job.onProgress(progress.fraction, progress.message);
+        }
+
+        return;
+      }
+
+      this.busy.delete(worker);
+      this._release(worker);
+      this._settle(entry, error ? deserializeError(error) : null, result);
+    });
+
+    worker.on('error', (error) => this._onWorkerExit(worker, error));
+    worker.on('exit', (exitCode) => this._onWorkerExit(worker, null, exitCode));
+
+    this.emit('worker-created', { threadId: worker.threadId });
+    return worker;
+  }
+
+
+  _release(worker) {
+    if (this.threadCount >= this.size) {
+      worker.terminate();
+    } else {
+      worker.unref();
+      this.idle.push(worker);
+    }
+
+    this._dispatch();
+  }
+
+
+  _onWorkerExit(worker, error, exitCode) {
+    const entry = this.busy.get(worker);
+
+    this.busy.delete(worker);
+    this.idle = this.idle.filter(idleWorker => idleWorker !== worker);
+
+    if (entry) {
+      this._settle(entry, new WorkerCrashedError(entry.job.taskId, error, exitCode));
+      this.emit('worker-crashed', { taskId: entry.job.taskId, error, exitCode });
+    }
+
+    this._dispatch();
+  }
+
+
+  _abort(entry) {
+    const index = this.waiting.indexOf(entry);
+
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+    } else if (entry.worker && this.busy.get(entry.worker) === entry) {
+      // A running handler cannot be interrupted, so its thread is replaced
+      this.busy.delete(entry.worker);
+      entry.worker.terminate();
+    }
+
+    this._settle(entry, entry.signal.reason);
+    this._dispatch();
+  }
+
+
+  _settle(entry, error, result) {
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  }
+}
+
+module.exports = WorkerPool;
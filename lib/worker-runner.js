@@ -0,0 +1,30 @@
+/**
+ * Entry point of the threads in a WorkerPool. Loads the task's module, calls
+ * its handler and posts the result (or the error) back to the pool. Progress
+ * the handler reports is posted as it happens.
+ */
+
+const { parentPort } = require('worker_threads');
+const { checkProgress } = require('./progress');
+const { serializeError } = require('./serialize-error');
+
+parentPort.on('message', async ({ jobId, module, exportName, task, context }) => {
+  try {
+    const exported = require(module);
+    const handler = exportName ? exported[exportName] : (exported.default || exported);
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Module ${module} does not export a ${exportName ? `function ${exportName}` : 'function'}`);
+    }
+
+    const reportProgress = (fraction, message) => {
+      checkProgress(fraction);
+      parentPort.postMessage({ jobId, progress: { fraction, message } });
+    };
+
+    const result = await handler(task, { ...context, reportProgress });
+    parentPort.postMessage({ jobId, result });
+  } catch (error) {
+    parentPort.postMessage({ jobId, error: serializeError(error) });
+  }
+});
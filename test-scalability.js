@@ -0,0 +1,101 @@
+/**
+ * Scalability Benchmark for Async Queue Manager
+ *
+ * Runs graphs of increasing size through the QueueManager and checks that the
+ * time spent per task stays roughly constant, i.e. that scheduling overhead
+ * grows linearly with the number of tasks rather than quadratically.
+ */
+
+const { TaskGraph, QueueManager } = require('./index');
+
+// Configuration
+const CONFIG = {
+  sizes: [10000, 20000, 40000, 80000],  // Number of tasks per run
+  concurrency: 16,                      // Concurrency used for every run
+  maxGrowth: 2.5                        // Allowed growth of the per-task time from smallest to largest graph
+};
+
+// Graph shapes: a single long chain, a wide binary tree and independent tasks
+// that all wait for a pool with room for one of them at a time
+const SHAPES = {
+  chain: {
+    dependsOn: i => i - 1
+  },
+  tree: {
+    dependsOn: i => Math.floor((i - 1) / 2)
+  },
+  pool: {
+    taskOptions: { group: 'db' },
+    queueOptions: { pools: { db: 1 } }
+  }
+};
+
+function buildGraph(shape, size) {
+  const { dependsOn, taskOptions } = SHAPES[shape];
+  const graph = new TaskGraph();
+
+  for (let i = 0; i < size; i++) {
+    graph.addTask(`task-${i}`, () => i, taskOptions);
+
+    if (dependsOn && i > 0) {
+      graph.addDependency(`task-${i}`, `task-${dependsOn(i)}`);
+    }
+  }
+
+  return graph;
+}
+
+async function measure(shape, size) {
+  const graph = buildGraph(shape, size);
+  const queueManager = new QueueManager(graph, {
+    concurrency: CONFIG.concurrency,
+    learnDurations: false,
+    ...SHAPES[shape].queueOptions
+  });
+
+  const start = process.hrtime.bigint();
+  const report = await queueManager.run();
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+  if (report.stats.completed !== size) {
+    throw new Error(`Expected ${size} completed tasks, got ${report.stats.completed}`);
+  }
+
+  return elapsed;
+}
+
+async function main() {
+  let failed = false;
+
+  // Warm up the JIT so the first measured size is not penalized
+  await measure('tree', CONFIG.sizes[0]);
+
+  for (const shape of Object.keys(SHAPES)) {
+    console.log(`\n${shape}:`);
+    const perTask = [];
+
+    for (const size of CONFIG.sizes) {
+      const elapsed = await measure(shape, size);
+      perTask.push(elapsed / size);
+      console.log(`  ${String(size).padStart(6)} tasks: ${elapsed.toFixed(0).padStart(6)}ms (${(elapsed * 1000 / size).toFixed(2)}µs/task)`);
+    }
+
+    const growth = perTask[perTask.length - 1] / perTask[0];
+    const linear = growth <= CONFIG.maxGrowth;
+    failed = failed || !linear;
+
+    console.log(`  per-task time growth: ${growth.toFixed(2)}x ${linear ? '(linear)' : '(SUPERLINEAR)'}`);
+  }
+
+  if (failed) {
+    console.error('\nScheduling overhead grows faster than linearly');
+    process.exitCode = 1;
+  } else {
+    console.log('\nScheduling overhead grows linearly');
+  }
+}
+
+main().catch(error => {
+  console.error('Benchmark failed:', error);
+  process.exitCode = 1;
+});
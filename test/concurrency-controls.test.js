@@ -0,0 +1,245 @@
+const { TaskGraph, QueueManager, errors } = require('..');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Task function that records how many tasks run at once under each key
+function tracked(peaks, key, ms = 5) {
+  const running = tracked.running;
+
+  return async () => {
+    running[key] = (running[key] || 0) + 1;
+    peaks[key] = Math.max(peaks[key] || 0, running[key]);
+    await sleep(ms);
+    running[key]--;
+  };
+}
+tracked.running = {};
+
+function settle(queueManager) {
+  return queueManager.run().catch(error => error.report);
+}
+
+describe('concurrency controls', () => {
+  describe('resource pools', () => {
+    test('limit tasks by the units they hold', async () => {
+      const graph = new TaskGraph();
+      const peaks = {};
+
+      for (let i = 0; i < 6; i++) {
+        graph.addTask(`db-${i}`, tracked(peaks, 'db'), { group: 'db' });
+      }
+
+      graph.addTask('train', tracked(peaks, 'gpu'), { resources: { gpu: 2 } });
+
+      const queueManager = new QueueManager(graph, { concurrency: 8, pools: { db: 2, gpu: 2 } });
+      const report = await queueManager.run();
+
+      expect(report.status).toBe('succeeded');
+      expect(peaks.db).toBe(2);
+      expect(queueManager.getStats().pools.db).toEqual(expect.objectContaining({ capacity: 2, inUse: 0, queued: 0 }));
+    });
+
+    test('start tasks waiting for the same pool in queue order', async () => {
+      const graph = new TaskGraph();
+      const order = [];
+      graph.addTask('small-1', () => sleep(10).then(() => order.push('small-1')), { resources: { gpu: 1 }, priority: 3 });
+      graph.addTask('large', () => order.push('large'), { resources: { gpu: 2 }, priority: 2 });
+      graph.addTask('small-2', () => order.push('small-2'), { resources: { gpu: 1 }, priority: 1 });
+      graph.addTask('other', () => order.push('other'));
+
+      await new QueueManager(graph, { concurrency: 4, pools: { gpu: 2 } }).run();
+
+      expect(order).toEqual(['other', 'small-1', 'large', 'small-2']);
+    });
+
+    test('fail tasks that need more units than their pool has', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('huge', () => 1, { resources: { gpu: 3 } });
+
+      const report = await new QueueManager(graph, { pools: { gpu: 2 } }).run();
+
+      expect(report.tasks.huge.status).toBe('failed');
+    });
+
+    test('hold tasks back at capacity 0 until the capacity is raised', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('held', () => 'ran', { group: 'db' });
+
+      const queueManager = new QueueManager(graph, { pools: { db: 0 } });
+      const run = queueManager.run();
+      await sleep(10);
+
+      expect(graph.getState('held')).toBe('ready');
+
+      queueManager.setPoolCapacity('db', 1);
+
+      expect((await run).tasks.held.result).toBe('ran');
+    });
+
+    test('declare a pool on the task with concurrencyKey', async () => {
+      const graph = new TaskGraph();
+      const peaks = {};
+
+      for (let i = 0; i < 5; i++) {
+        graph.addTask(`call-${i}`, tracked(peaks, 'api'), { concurrencyKey: 'api', concurrencyLimit: 1 });
+      }
+
+      await new QueueManager(graph, { concurrency: 4 }).run();
+
+      expect(peaks.api).toBe(1);
+    });
+  });
+
+  describe('rate limits', () => {
+    test('space task starts by the token bucket of their tag', async () => {
+      const graph = new TaskGraph();
+      const starts = [];
+
+      for (let i = 0; i < 3; i++) {
+        graph.addTask(`fetch-${i}`, () => starts.push(Date.now()), { tags: ['api'] });
+      }
+
+      const queueManager = new QueueManager(graph, {
+        concurrency: 4,
+        rateLimits: { api: { rate: 1, interval: 20, burst: 1 } }
+      });
+      const limited = [];
+      queueManager.on('task-rate-limited', ({ taskId }) => limited.push(taskId));
+
+      await queueManager.run();
+
+      expect(starts[2] - starts[0]).toBeGreaterThanOrEqual(30);
+      expect(limited).toHaveLength(2);
+      expect(queueManager.getStats().rateLimits.tags.api.waiting).toBe(0);
+    });
+  });
+
+  describe('delayed tasks', () => {
+    test('wait for their delay after becoming ready', async () => {
+      const graph = new TaskGraph();
+      let readyAt = 0;
+      graph.addTask('first', () => { readyAt = Date.now(); });
+      graph.addTask('later', () => Date.now() - readyAt, { delay: 30 });
+      graph.addDependency('later', 'first');
+
+      const queueManager = new QueueManager(graph);
+      const delayed = [];
+      queueManager.on('task-delayed', ({ taskId }) => delayed.push(taskId));
+
+      const report = await queueManager.run();
+
+      expect(report.tasks.later.result).toBeGreaterThanOrEqual(25);
+      expect(delayed).toEqual(['later']);
+    });
+
+    test('start at runAt without holding a concurrency slot', async () => {
+      const graph = new TaskGraph();
+      const order = [];
+      graph.addTask('scheduled', () => order.push('scheduled'), { runAt: Date.now() + 30 });
+      graph.addTask('now', () => order.push('now'));
+
+      await new QueueManager(graph, { concurrency: 1 }).run();
+
+      expect(order).toEqual(['now', 'scheduled']);
+    });
+
+    test('reject a runAt or delay that is not a time', () => {
+      const graph = new TaskGraph();
+
+      expect(() => graph.addTask('a', () => {}, { runAt: 'not a date' }))
+        .toThrow('Task a: runAt must be a date, a date string or a timestamp in ms');
+      expect(() => graph.addTask('b', () => {}, { delay: -1 })).toThrow(errors.GraphDefinitionError);
+      expect(graph.getAllTasks().size).toBe(0);
+      expect(() => graph.addTask('c', () => {}, { runAt: new Date() })).not.toThrow();
+    });
+  });
+
+  describe('circuit breakers', () => {
+    test('hold tasks of an open circuit and probe after the cooldown', async () => {
+      const graph = new TaskGraph();
+      let healthy = false;
+
+      graph.addTask('call-1', () => { throw new Error('down'); }, { type: 'payments' });
+      graph.addTask('call-2', () => {
+        if (!healthy) {
+          throw new Error('down');
+        }
+
+        return 'ok';
+      }, { type: 'payments' });
+      graph.addDependency('call-2', 'call-1', { optional: true });
+
+      const queueManager = new QueueManager(graph, {
+        failurePolicy: 'continue',
+        circuitBreakers: { payments: { failureThreshold: 1, window: 1000, cooldown: 30 } }
+      });
+      const events = [];
+      queueManager.on('circuit-open', () => events.push('open'));
+      queueManager.on('task-circuit-held', () => { events.push('held'); healthy = true; });
+      queueManager.on('circuit-closed', () => events.push('closed'));
+
+      const report = await settle(queueManager);
+
+      expect(events).toEqual(['open', 'held', 'closed']);
+      expect(report.tasks['call-2'].result).toBe('ok');
+    });
+
+    test('let every held task through once the circuit closes, while others keep running', async () => {
+      const graph = new TaskGraph();
+      const order = [];
+      graph.addTask('call-0', () => { throw new Error('down'); }, { type: 'payments' });
+
+      for (let i = 1; i <= 3; i++) {
+        graph.addTask(`call-${i}`, () => order.push(`call-${i}`), { type: 'payments' });
+        graph.addDependency(`call-${i}`, 'call-0', { optional: true });
+      }
+
+      graph.addTask('report', () => order.push('report'));
+      graph.addDependency('report', 'call-0', { optional: true });
+
+      const queueManager = new QueueManager(graph, {
+        failurePolicy: 'continue',
+        circuitBreakers: { payments: { failureThreshold: 1, cooldown: 20 } }
+      });
+
+      await settle(queueManager);
+
+      expect(order[0]).toBe('report');
+      expect(order.slice(1).sort()).toEqual(['call-1', 'call-2', 'call-3']);
+      expect(queueManager.getStats().queued).toBe(0);
+    });
+
+    test('fail tasks right away in fail-fast mode', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('call-1', () => { throw new Error('down'); }, { type: 'payments' });
+      graph.addTask('call-2', () => 'ok', { type: 'payments' });
+      graph.addDependency('call-2', 'call-1', { optional: true });
+
+      const queueManager = new QueueManager(graph, {
+        failurePolicy: 'continue',
+        circuitBreakers: { payments: { failureThreshold: 1, cooldown: 1000, mode: 'fail-fast' } }
+      });
+
+      const report = await settle(queueManager);
+
+      expect(report.tasks['call-2'].error).toBeInstanceOf(errors.CircuitOpenError);
+    });
+
+    test('stop retrying once the circuit opens', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('call', () => { throw new Error('down'); }, {
+        type: 'payments',
+        retry: { maxAttempts: 5, delay: 1 }
+      });
+
+      const queueManager = new QueueManager(graph, {
+        circuitBreakers: { payments: { failureThreshold: 2, cooldown: 1000 } }
+      });
+
+      const report = await settle(queueManager);
+
+      expect(report.tasks.call.attempts).toBe(2);
+      expect(report.tasks.call.error).toBeInstanceOf(errors.CircuitOpenError);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { TaskGraph, QueueManager, errors } = require('..');
+
+const handlers = require.resolve('./fixtures/handlers');
+
+describe.each(['worker', 'process'])('%s mode', (mode) => {
+  function run(tasks, options = {}) {
+    const graph = new TaskGraph();
+    graph.addTask('input', () => ({ n: 1 }));
+
+    for (const [taskId, definition] of Object.entries(tasks)) {
+      graph.addTask(taskId, { mode, module: handlers, ...definition });
+      graph.addDependency(taskId, 'input');
+    }
+
+    const queueManager = new QueueManager(graph, options);
+
+    return queueManager.run()
+      .catch(error => error.report)
+      .then(report => ({ report, queueManager }));
+  }
+
+  test('runs the exported handler with the task and its results', async () => {
+    const { report } = await run({ double: { params: { n: 21 } } });
+
+    expect(report.tasks.double.result).toEqual({ double: 42, results: { input: { n: 1 } } });
+  });
+
+  test('fails the task with the error the handler threw', async () => {
+    const { report } = await run({ broken: { exportName: 'fail' } });
+
+    expect(report.tasks.broken.status).toBe('failed');
+    expect(report.tasks.broken.error.message).toBe('handler failed');
+  });
+
+  test('stops a handler that blocks when its attempt times out', async () => {
+    const { report } = await run({ stuck: { exportName: 'spin', timeout: 200 } });
+
+    expect(report.tasks.stuck.error).toBeInstanceOf(errors.TaskTimeoutError);
+  });
+
+  test('forwards progress reports', async () => {
+    const { report, queueManager } = await run({ steps: { exportName: 'progress' } }, {
+      concurrency: 1
+    });
+
+    expect(report.tasks.steps.result).toBe('done');
+    expect(queueManager.getTaskProgress('steps')).toEqual(expect.objectContaining({ fraction: 1, message: 'step 4' }));
+  });
+});
+
+describe('process mode', () => {
+  test('captures the output of the child', async () => {
+    const graph = new TaskGraph();
+    graph.addTask('print', { mode: 'process', module: handlers, exportName: 'print', params: { text: 'hello' } });
+
+    const queueManager = new QueueManager(graph);
+    await queueManager.run();
+
+    expect(queueManager.getTaskRecord('print').stdout).toBe('printing hello\n');
+  });
+
+  test('fails the task when the child runs out of memory', async () => {
+    const graph = new TaskGraph();
+    graph.addTask('hog', {
+      mode: 'process',
+      module: require.resolve('./fixtures/hog'),
+      memoryLimit: 16
+    });
+
+    const report = await new QueueManager(graph).run();
+
+    expect(report.tasks.hog.error).toBeInstanceOf(errors.ProcessExitedError);
+    expect(report.tasks.hog.error.outOfMemory).toBe(true);
+  }, 30000);
+});
@@ -0,0 +1,27 @@
+// Task handlers for the worker and process mode tests
+
+module.exports = async (task, { results }) => ({ double: task.params.n * 2, results });
+
+module.exports.fail = async () => {
+  throw new Error('handler failed');
+};
+
+module.exports.spin = () => {
+  while (true) {
+    // Only terminating the thread or process stops this
+  }
+};
+
+module.exports.print = async (task) => {
+  console.log(`printing ${task.params.text}`);
+  return task.params.text;
+};
+
+module.exports.progress = async (task, { reportProgress }) => {
+  for (let step = 1; step <= 4; step++) {
+    reportProgress(step / 4, `step ${step}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  return 'done';
+};
@@ -0,0 +1,9 @@
+// Handler that allocates until the heap limit of its process is reached
+
+module.exports = () => {
+  const chunks = [];
+
+  while (true) {
+    chunks.push(new Array(100000).fill({ chunk: chunks.length }));
+  }
+};
@@ -0,0 +1,104 @@
+const EventEmitter = require('events');
+const path = require('path');
+const { TaskGraph, QueueManager, adapters: { GRPCAdapter } } = require('..');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The RPC handlers are exercised with fake calls, so no server is started
+function createAdapter(options = {}) {
+  return new GRPCAdapter({ protoPath: path.join(__dirname, 'fixtures', 'unused.proto'), ...options });
+}
+
+function submitCall(taskId, payload, metadata = {}) {
+  return { request: { task_id: taskId, task_type: 'test', payload: Buffer.from(JSON.stringify(payload)), metadata } };
+}
+
+function streamCall(taskId) {
+  const call = new EventEmitter();
+  call.request = { task_id: taskId };
+  call.updates = [];
+  call.write = update => call.updates.push(update);
+  call.end = jest.fn();
+  return call;
+}
+
+function getStatus(adapter, taskId) {
+  return new Promise(resolve => adapter._handleGetTaskStatus({ request: { task_id: taskId } }, (error, status) => {
+    resolve(error || status);
+  }));
+}
+
+describe('GRPCAdapter', () => {
+  test('streams the progress of a submitted task until it finishes', async () => {
+    const adapter = createAdapter();
+    adapter.taskHandler = async (task, { reportProgress }) => {
+      reportProgress(0.5, 'halfway');
+      return task.payload.n * 2;
+    };
+
+    const completed = new Promise(resolve => adapter.once('task-completed', resolve));
+    adapter._handleSubmitTask(submitCall('t1', { n: 2 }), () => {});
+    const stream = streamCall('t1');
+    adapter._handleStreamTaskUpdates(stream);
+
+    expect((await completed).result).toBe(4);
+    expect(stream.updates.map(({ status, progress }) => [status, progress])).toEqual([
+      ['pending', 0],
+      ['running', 0],
+      ['running', 50],
+      ['completed', 100]
+    ]);
+    expect(stream.end).toHaveBeenCalled();
+    expect(adapter.statusStreams.size).toBe(0);
+  });
+
+  test('answers status requests for known tasks only', async () => {
+    const adapter = createAdapter();
+    adapter._setTaskStatus('t1', 'running', 'busy', 0.25);
+
+    expect(await getStatus(adapter, 't1')).toEqual({ task_id: 't1', status: 'running', progress: 25, message: 'busy' });
+    expect((await getStatus(adapter, 'missing')).message).toBe('Unknown task: missing');
+  });
+
+  test('runs requests with the same idempotency key once', async () => {
+    const adapter = createAdapter();
+    adapter.taskHandler = jest.fn(async () => {
+      await sleep(5);
+      return 'charged';
+    });
+    const results = [];
+    adapter.on('task-completed', ({ result }) => results.push(result));
+    const messages = [];
+    const accept = (error, { message }) => messages.push(message);
+
+    adapter._handleSubmitTask(submitCall('a', {}, { 'idempotency-key': 'order:1' }), accept);
+    adapter._handleSubmitTask(submitCall('b', {}, { 'idempotency-key': 'order:1' }), accept);
+    await sleep(20);
+
+    expect(adapter.taskHandler).toHaveBeenCalledTimes(1);
+    expect(results).toEqual(['charged', 'charged']);
+    expect(messages).toEqual(['Task accepted', 'Duplicate of an earlier submission']);
+  });
+
+  test('reports the tasks of a tracked queue manager', async () => {
+    const graph = new TaskGraph();
+    graph.addTask('build', (task, { reportProgress }) => reportProgress(0.5));
+    const queueManager = new QueueManager(graph);
+    const adapter = createAdapter({ queueManager });
+    const statuses = [];
+    adapter.on('task-status', ({ status, progress }) => statuses.push([status, progress]));
+
+    await queueManager.run();
+
+    expect(statuses).toEqual([['running', 0], ['running', 50], ['completed', 100]]);
+  });
+
+  test('keeps a bounded history of finished tasks', () => {
+    const adapter = createAdapter({ statusHistory: 2 });
+
+    adapter._setTaskStatus('running', 'running', '');
+    ['a', 'b', 'c'].forEach(taskId => adapter._setTaskStatus(taskId, 'completed', ''));
+
+    expect(Array.from(adapter.taskStatus.keys())).toEqual(['running', 'c']);
+  });
+});
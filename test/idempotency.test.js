@@ -0,0 +1,179 @@
+const { TaskGraph, QueueManager, IdempotencyCache, errors, stateStores: { StateStore, MemoryStateStore } } = require('..');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('idempotency', () => {
+  describe('submit()', () => {
+    test('resolves with the result of the submitted task', async () => {
+      const queueManager = new QueueManager(new TaskGraph());
+      queueManager.start();
+
+      await expect(queueManager.submit('a', () => 42)).resolves.toBe(42);
+      await expect(queueManager.submit('b', () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+      await queueManager.stop();
+    });
+
+    test('adds the task with its dependencies in one step', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('validate', () => sleep(10).then(() => 'valid'));
+
+      const queueManager = new QueueManager(graph);
+      queueManager.start();
+
+      const result = await queueManager.submit('charge', (task, { results }) => results.validate, {
+        dependencies: ['validate']
+      });
+
+      expect(result).toBe('valid');
+
+      await queueManager.stop();
+    });
+
+    test('hands duplicates the promise of the first submission', async () => {
+      const queueManager = new QueueManager(new TaskGraph());
+      queueManager.start();
+      let calls = 0;
+      const charge = () => sleep(10).then(() => ++calls);
+      const deduplicated = [];
+      queueManager.on('task-deduplicated', ({ taskId }) => deduplicated.push(taskId));
+
+      const results = await Promise.all([
+        queueManager.submit('charge-1', charge, { idempotencyKey: 'order:1' }),
+        queueManager.submit('charge-1-retry', charge, { idempotencyKey: 'order:1' })
+      ]);
+
+      expect(results).toEqual([1, 1]);
+      expect(calls).toBe(1);
+      expect(deduplicated).toEqual(['charge-1-retry']);
+
+      await queueManager.stop();
+    });
+
+    test('answers a resubmission after the first task succeeded with its result', async () => {
+      const queueManager = new QueueManager(new TaskGraph());
+      queueManager.start();
+      const charge = jest.fn(() => 'charged');
+
+      await expect(queueManager.submit('first', charge, { idempotencyKey: 'k' })).resolves.toBe('charged');
+      await expect(queueManager.submit('second', charge, { idempotencyKey: 'k' })).resolves.toBe('charged');
+
+      expect(charge).toHaveBeenCalledTimes(1);
+
+      await queueManager.stop();
+    });
+
+    test('rejects a submission that is skipped right away', async () => {
+      const queueManager = new QueueManager(new TaskGraph());
+      queueManager.start();
+
+      await expect(queueManager.submit('x', () => 1, { when: () => false })).rejects.toThrow('Task x was skipped');
+
+      await queueManager.stop();
+    });
+
+    test('releases the key of a failed task', async () => {
+      const queueManager = new QueueManager(new TaskGraph());
+      queueManager.start();
+
+      await expect(queueManager.submit('first', () => { throw new Error('boom'); }, { idempotencyKey: 'k' }))
+        .rejects.toThrow('boom');
+      await expect(queueManager.submit('second', () => 'ok', { idempotencyKey: 'k' })).resolves.toBe('ok');
+
+      await queueManager.stop();
+    });
+
+    test('rejects pending submissions when the queue is reset', async () => {
+      const queueManager = new QueueManager(new TaskGraph());
+      queueManager.start();
+
+      const running = queueManager.submit('slow', () => new Promise(() => {}));
+      const queued = queueManager.submit('after', () => 'ok', { dependencies: ['slow'] });
+      queueManager.reset();
+
+      await expect(running).rejects.toBeInstanceOf(errors.TaskCancelledError);
+      await expect(queued).rejects.toThrow('Queue was reset');
+    });
+  });
+
+  describe('keys on graph tasks', () => {
+    test('recognize duplicates in later runs through the state store', async () => {
+      const stateStore = new MemoryStateStore();
+      let calls = 0;
+      const build = () => {
+        const graph = new TaskGraph();
+        graph.addTask('charge', () => ++calls, { idempotencyKey: 'order:7' });
+        return graph;
+      };
+
+      await new QueueManager(build(), { stateStore }).run();
+      const report = await new QueueManager(build(), { stateStore }).run();
+
+      expect(calls).toBe(1);
+      expect(report.tasks.charge).toEqual(expect.objectContaining({ status: 'succeeded', result: 1, deduplicated: true }));
+    });
+
+    test('are remembered in memory with a store that cannot persist them', async () => {
+      class RunStore extends StateStore {
+        async saveTask() {}
+
+        async loadRun() {
+          return null;
+        }
+
+        async deleteRun() {}
+      }
+
+      const queueManager = new QueueManager(new TaskGraph(), { stateStore: new RunStore() });
+      queueManager.start();
+      const charge = jest.fn(() => 'charged');
+
+      await expect(queueManager.submit('a', charge, { idempotencyKey: 'k' })).resolves.toBe('charged');
+      await expect(queueManager.submit('b', charge, { idempotencyKey: 'k' })).resolves.toBe('charged');
+
+      expect(charge).toHaveBeenCalledTimes(1);
+
+      await queueManager.stop();
+    });
+
+    test('run again once the dedupe window has passed', async () => {
+      const idempotencyCache = new IdempotencyCache({ window: 10 });
+      let calls = 0;
+      const build = () => {
+        const graph = new TaskGraph();
+        graph.addTask('charge', () => ++calls, { idempotencyKey: 'order:7' });
+        return graph;
+      };
+
+      await new QueueManager(build(), { idempotencyCache }).run();
+      await sleep(20);
+      await new QueueManager(build(), { idempotencyCache }).run();
+
+      expect(calls).toBe(2);
+    });
+  });
+
+  describe('IdempotencyCache', () => {
+    test('runs work once per key and reports the duplicate', async () => {
+      const cache = new IdempotencyCache();
+      const fn = jest.fn(() => 'done');
+
+      const first = await cache.execute('k', fn, { taskId: 'a' });
+      const second = await cache.execute('k', fn, { taskId: 'b' });
+
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(first).toEqual({ result: 'done', duplicateOf: null });
+      expect(second).toEqual({ result: 'done', duplicateOf: { taskId: 'a' } });
+    });
+
+    test('loads persisted results from its store', async () => {
+      const store = new MemoryStateStore();
+      await new IdempotencyCache({ store }).save('k', { taskId: 'a', runId: 'run-1', result: 5 });
+
+      const { result, duplicateOf } = await new IdempotencyCache({ store }).execute('k', () => 0);
+
+      expect(result).toBe(5);
+      expect(duplicateOf).toEqual({ taskId: 'a', runId: 'run-1' });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const { TaskGraph, JobScheduler, CronExpression } = require('..');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('CronExpression', () => {
+  test('finds the next matching minute', () => {
+    const cron = new CronExpression('*/15 9-17 * * mon-fri');
+
+    // Saturday 2024-06-01 10:20, next match is Monday 09:00
+    expect(cron.next(new Date(2024, 5, 1, 10, 20))).toEqual(new Date(2024, 5, 3, 9, 0));
+    expect(cron.next(new Date(2024, 5, 3, 9, 0))).toEqual(new Date(2024, 5, 3, 9, 15));
+  });
+
+  test('matches either a restricted day of month or day of week', () => {
+    const cron = new CronExpression('0 0 13 * fri');
+
+    // Wednesday 2024-09-11: Friday the 13th comes first
+    expect(cron.next(new Date(2024, 8, 11))).toEqual(new Date(2024, 8, 13));
+    expect(cron.next(new Date(2024, 8, 13))).toEqual(new Date(2024, 8, 20));
+  });
+
+  test('expands macros and reports dates that never come', () => {
+    expect(new CronExpression('@daily').next(new Date(2024, 0, 1, 12))).toEqual(new Date(2024, 0, 2));
+    expect(new CronExpression('0 0 30 2 *').next()).toBeNull();
+  });
+
+  test('rejects invalid expressions', () => {
+    expect(() => new CronExpression('* * *')).toThrow('expected 5 fields');
+    expect(() => new CronExpression('61 * * * *')).toThrow('Invalid cron expression');
+  });
+});
+
+describe('JobScheduler', () => {
+  function slowGraph(ms) {
+    return () => {
+      const graph = new TaskGraph();
+      graph.addTask('work', () => sleep(ms));
+      return graph;
+    };
+  }
+
+  test('starts a fresh run on trigger and reports it', async () => {
+    const scheduler = new JobScheduler();
+    scheduler.schedule('export', { cron: '@yearly', graph: slowGraph(0) });
+
+    const complete = new Promise(resolve => scheduler.once('run-complete', resolve));
+    const runId = scheduler.trigger('export');
+    const { report } = await complete;
+
+    expect(runId).toMatch(/^export:/);
+    expect(report.status).toBe('succeeded');
+    expect(scheduler.get('export')).toEqual(expect.objectContaining({ runCount: 1, lastStatus: 'succeeded' }));
+  });
+
+  test('applies the overlap policy to runs due while one is in progress', async () => {
+    const scheduler = new JobScheduler();
+    scheduler.schedule('skip', { cron: '@yearly', graph: slowGraph(20) });
+    scheduler.schedule('queue', { cron: '@yearly', graph: slowGraph(20), overlap: 'queue' });
+    const events = [];
+    ['run-skipped', 'run-queued', 'run-complete'].forEach(event => {
+      scheduler.on(event, ({ name }) => events.push(`${event}:${name}`));
+    });
+
+    scheduler.trigger('skip');
+    scheduler.trigger('queue');
+
+    expect(scheduler.trigger('skip')).toBeNull();
+    expect(scheduler.trigger('queue')).toBeNull();
+
+    await sleep(80);
+
+    expect(events.filter(event => event.endsWith(':skip'))).toEqual(['run-skipped:skip', 'run-complete:skip']);
+    expect(events.filter(event => event.endsWith(':queue')))
+      .toEqual(['run-queued:queue', 'run-complete:queue', 'run-complete:queue']);
+  });
+
+  test('catches up on the latest missed run when started', () => {
+    const scheduler = new JobScheduler({ misfireThreshold: 1000 });
+    const missed = [];
+    const started = [];
+    scheduler.on('run-missed', ({ scheduledAt }) => missed.push(scheduledAt));
+    scheduler.on('run-started', ({ trigger, queueManager }) => {
+      started.push(trigger);
+      queueManager.stop(false);
+    });
+    scheduler.on('run-failed', () => {});
+
+    scheduler.schedule('hourly', {
+      cron: '@hourly',
+      graph: slowGraph(0),
+      catchUp: 'latest',
+      lastRunAt: Date.now() - 3 * 60 * 60 * 1000 - 60000
+    });
+    scheduler.start();
+    scheduler.stop();
+
+    expect(started).toEqual(['catch-up']);
+    expect(missed).toHaveLength(2);
+  });
+
+  test('rejects unknown policies', () => {
+    const scheduler = new JobScheduler();
+
+    expect(() => scheduler.schedule('a', { cron: '@daily', graph: slowGraph(0), overlap: 'never' }))
+      .toThrow('Unknown overlap policy: never');
+  });
+});
@@ -0,0 +1,107 @@
+const { TaskGraph, QueueManager, middleware } = require('..');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('middleware and hooks', () => {
+  test('wraps every task in use() middleware, outermost first', async () => {
+    const graph = new TaskGraph();
+    const calls = [];
+    graph.addTask('a', () => { calls.push('task'); return 1; });
+
+    const queueManager = new QueueManager(graph);
+    queueManager.use(async (ctx, next) => {
+      calls.push(`outer:${ctx.taskId}`);
+      return (await next()) + 1;
+    });
+    queueManager.use(async (ctx, next) => {
+      calls.push('inner');
+      return next();
+    });
+
+    const report = await queueManager.run();
+
+    expect(calls).toEqual(['outer:a', 'inner', 'task']);
+    expect(report.tasks.a.result).toBe(2);
+  });
+
+  test('replaces the default pipeline with the middleware option', async () => {
+    const graph = new TaskGraph();
+    let calls = 0;
+    graph.addTask('flaky', () => {
+      if (++calls < 2) {
+        throw new Error('flaky');
+      }
+
+      return 'ok';
+    }, { retry: { maxAttempts: 3, delay: 1 } });
+
+    const report = await new QueueManager(graph, { middleware: [middleware.timeout()] }).run();
+
+    expect(report.tasks.flaky.status).toBe('failed');
+    expect(calls).toBe(1);
+  });
+
+  test('runs lifecycle hooks and fails tasks whose beforeStart hook throws', async () => {
+    const graph = new TaskGraph();
+    graph.addTask('ok', () => 1);
+    graph.addTask('denied', () => 1);
+    const events = [];
+
+    const queueManager = new QueueManager(graph, {
+      hooks: {
+        beforeStart: ({ taskId }) => {
+          if (taskId === 'denied') {
+            throw new Error('not allowed');
+          }
+        },
+        afterRun: ({ taskId, error }) => events.push(`after:${taskId}:${error ? 'error' : 'ok'}`)
+      }
+    });
+    queueManager.hook('onTaskStateChange', ({ taskId, state }) => events.push(`${taskId}:${state}`));
+
+    const report = await queueManager.run();
+
+    expect(report.tasks.denied.error.message).toBe('not allowed');
+    expect(events).toContain('after:ok:ok');
+    expect(events).toContain('ok:succeeded');
+    expect(events).toContain('denied:failed');
+    expect(() => queueManager.hook('beforeEverything', () => {})).toThrow();
+  });
+});
+
+describe('progress reporting', () => {
+  test('tracks the progress of running tasks and of the run', async () => {
+    const graph = new TaskGraph();
+    let resume;
+    graph.addTask('upload', async (task, { reportProgress }) => {
+      reportProgress(0.5, 'halfway');
+      await new Promise(resolve => { resume = resolve; });
+    }, { estimatedDuration: 100 });
+    graph.addTask('done', () => 1, { estimatedDuration: 100 });
+
+    const queueManager = new QueueManager(graph);
+    const events = [];
+    queueManager.on('task-progress', ({ taskId, fraction, message }) => events.push({ taskId, fraction, message }));
+
+    const run = queueManager.run();
+    await sleep(5);
+
+    expect(events).toEqual([{ taskId: 'upload', fraction: 0.5, message: 'halfway' }]);
+    expect(queueManager.getTaskProgress('upload')).toEqual(expect.objectContaining({ fraction: 0.5 }));
+    expect(queueManager.getProgress()).toBeCloseTo(0.75);
+
+    resume();
+    await run;
+
+    expect(queueManager.getProgress()).toBe(1);
+  });
+
+  test('rejects fractions outside 0 to 1', async () => {
+    const graph = new TaskGraph();
+    graph.addTask('bad', (task, { reportProgress }) => reportProgress(2));
+
+    const report = await new QueueManager(graph).run();
+
+    expect(report.tasks.bad.error.message).toBe('Progress must be a number between 0 and 1');
+  });
+});
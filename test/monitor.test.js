@@ -0,0 +1,74 @@
+const { TaskGraph, QueueManager, Monitor } = require('..');
+
+describe('Monitor', () => {
+  function buildQueue() {
+    const inner = new TaskGraph();
+    inner.addTask('compile', () => 'js');
+
+    const graph = new TaskGraph();
+    graph.addTask('install', () => 'ok');
+    graph.addSubGraph('frontend', inner);
+    graph.addDependency('frontend', 'install');
+
+    return new QueueManager(graph, { pools: { db: 2 } });
+  }
+
+  test('nests sub-graph tasks under their parent in the task tree', async () => {
+    const queueManager = buildQueue();
+    const monitor = new Monitor(queueManager, { enableApi: false, enableSockets: false });
+    await queueManager.run();
+
+    const tree = monitor.getTaskTree();
+    const frontend = tree.find(node => node.id === 'frontend');
+
+    expect(tree.map(node => node.id).sort()).toEqual(['frontend', 'install']);
+    expect(frontend.children.map(node => node.id)).toContain('frontend/compile');
+    expect(frontend.subGraph.succeeded).toBe(frontend.subGraph.total);
+    expect(tree.find(node => node.id === 'install')).toEqual(expect.objectContaining({
+      state: 'succeeded',
+      result: 'ok',
+      progress: null
+    }));
+  });
+
+  describe('API', () => {
+    let queueManager;
+    let monitor;
+    let baseUrl;
+
+    beforeAll(async () => {
+      queueManager = buildQueue();
+      const port = 30000 + (process.pid % 20000);
+      monitor = new Monitor(queueManager, { port, enableSockets: false, metricsInterval: 60000 });
+      await monitor.start();
+      baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    afterAll(() => monitor.stop());
+
+    test('serves stats and graph diagrams', async () => {
+      const stats = await (await fetch(`${baseUrl}/api/stats`)).json();
+      const mermaid = await (await fetch(`${baseUrl}/api/graph?format=mermaid`)).text();
+      const unknown = await fetch(`${baseUrl}/api/graph?format=svg`);
+
+      expect(stats.pools.db).toEqual(expect.objectContaining({ capacity: 2, inUse: 0 }));
+      expect(mermaid).toMatch(/^flowchart TD/);
+      expect(unknown.status).toBe(400);
+    });
+
+    test('changes a pool capacity', async () => {
+      const response = await fetch(`${baseUrl}/api/control/pools/db`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ capacity: 4 })
+      });
+
+      expect(response.status).toBe(200);
+      expect(queueManager.getStats().pools.db.capacity).toBe(4);
+    });
+
+    test('answers 404 for schedules without a scheduler', async () => {
+      expect((await fetch(`${baseUrl}/api/schedules`)).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { RetryPolicy } = require('..');
+const { TokenBucket, RateLimiter } = require('../lib/rate-limiter');
+const { CircuitBreaker } = require('../lib/circuit-breaker');
+
+describe('RetryPolicy', () => {
+  test('backs off exponentially up to maxDelay', () => {
+    const policy = new RetryPolicy({ maxAttempts: 5, delay: 100, maxDelay: 300 });
+
+    expect([1, 2, 3].map(attempt => policy.getDelay(attempt))).toEqual([100, 200, 300]);
+    expect(new RetryPolicy({ backoff: 'fixed', delay: 50 }).getDelay(4)).toBe(50);
+  });
+
+  test('stops after maxAttempts and when retryOn says so', () => {
+    const policy = new RetryPolicy({ maxAttempts: 3, retryOn: error => error.retryable });
+
+    expect(policy.shouldRetry({ retryable: true }, 2)).toBe(true);
+    expect(policy.shouldRetry({ retryable: true }, 3)).toBe(false);
+    expect(policy.shouldRetry({ retryable: false }, 1)).toBe(false);
+  });
+
+  test('merges task overrides over queue defaults', () => {
+    const policy = RetryPolicy.merge({ maxAttempts: 3, delay: 10 }, { delay: 20 });
+
+    expect(policy).toEqual(expect.objectContaining({ maxAttempts: 3, delay: 20 }));
+  });
+
+  test('rejects unknown strategies and jitter out of range', () => {
+    expect(() => new RetryPolicy({ backoff: 'linear' })).toThrow('Unknown backoff strategy: linear');
+    expect(() => new RetryPolicy({ jitter: 2 })).toThrow('Jitter must be between 0 and 1');
+  });
+});
+
+describe('RateLimiter', () => {
+  test('refills a bucket at its rate up to its burst', () => {
+    const bucket = new TokenBucket({ rate: 2, interval: 100, burst: 2 });
+    const now = bucket.lastRefill;
+
+    bucket.take(now);
+    bucket.take(now);
+
+    expect(bucket.getWaitTime(now)).toBe(50);
+    expect(bucket.getTokens(now + 1000)).toBe(2);
+  });
+
+  test('takes tokens only when every bucket of the task has one', () => {
+    const limiter = new RateLimiter({ global: { rate: 10 }, tags: { api: { rate: 1, interval: 1000 } } });
+    const now = Date.now();
+
+    expect(limiter.acquire(['api'], now)).toEqual({ wait: 0, limits: [] });
+
+    const { wait, limits } = limiter.acquire(['api', 'other'], now);
+
+    expect(limits).toEqual(['api']);
+    expect(wait).toBeGreaterThan(0);
+    expect(limiter.getStats().global.tokens).toBe(9);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('opens after the failure threshold and half-opens after the cooldown', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, window: 1000, cooldown: 100 });
+    const states = [];
+    breaker.on('state-change', ({ state }) => states.push(state));
+
+    breaker.recordFailure('a', 0);
+    expect(breaker.check(0)).toBe('pass');
+
+    breaker.recordFailure('b', 10);
+    expect(breaker.check(50)).toBe('hold');
+    expect(breaker.getRetryTime()).toBe(110);
+
+    expect(breaker.check(110)).toBe('probe');
+    breaker.startProbe('c');
+    expect(breaker.check(110)).toBe('hold');
+
+    breaker.recordSuccess('c');
+    expect(breaker.getState(120)).toBe('closed');
+    expect(states).toEqual(['open', 'half-open', 'closed']);
+  });
+
+  test('only counts failures within the window', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, window: 100 });
+
+    breaker.recordFailure('a', 0);
+    breaker.recordFailure('b', 200);
+
+    expect(breaker.getState(200)).toBe('closed');
+  });
+
+  test('rejects instead of holding in fail-fast mode', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, mode: 'fail-fast' });
+
+    breaker.recordFailure('a', 0);
+
+    expect(breaker.check(1)).toBe('reject');
+  });
+});
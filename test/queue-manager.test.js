@@ -0,0 +1,398 @@
+const { TaskGraph, QueueManager, errors } = require('..');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run a queue to completion whatever its outcome and return the report
+function settle(queueManager) {
+  return queueManager.run().catch(error => {
+    if (!error.report) {
+      throw error;
+    }
+
+    return error.report;
+  });
+}
+
+describe('QueueManager', () => {
+  describe('run()', () => {
+    test('runs tasks in dependency order and reports results', async () => {
+      const graph = new TaskGraph();
+      const order = [];
+      graph.addTask('a', () => { order.push('a'); return 1; });
+      graph.addTask('b', (task, { results }) => { order.push('b'); return results.a + 1; });
+      graph.addDependency('b', 'a');
+
+      const report = await new QueueManager(graph).run();
+
+      expect(order).toEqual(['a', 'b']);
+      expect(report.status).toBe('succeeded');
+      expect(report.tasks.b).toEqual(expect.objectContaining({ status: 'succeeded', result: 2, attempts: 1 }));
+      expect(report.stats.completed).toBe(2);
+    });
+
+    test('passes the results of every ancestor with resultScope ancestors', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('a', () => 'A');
+      graph.addTask('b', () => 'B');
+      graph.addTask('c', (task, { results }) => results, { resultScope: 'ancestors' });
+      graph.addDependency('b', 'a');
+      graph.addDependency('c', 'b');
+
+      await new QueueManager(graph).run();
+
+      expect(graph.getResult('c')).toEqual({ a: 'A', b: 'B' });
+    });
+
+    test('dispatches by priority and breaks ties by insertion order', async () => {
+      const graph = new TaskGraph();
+      const order = [];
+
+      for (const [id, priority] of [['low', 0], ['high', 5], ['mid', 1], ['mid2', 1]]) {
+        graph.addTask(id, () => order.push(id), { priority });
+      }
+
+      await new QueueManager(graph, { concurrency: 1 }).run();
+
+      expect(order).toEqual(['high', 'mid', 'mid2', 'low']);
+    });
+
+    test('rejects with a GraphValidationError when validation is enabled', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('a', {});
+
+      await expect(new QueueManager(graph, { validate: true }).run())
+        .rejects.toBeInstanceOf(errors.GraphValidationError);
+    });
+  });
+
+  describe('retries', () => {
+    test('retries failed attempts with backoff', async () => {
+      const graph = new TaskGraph();
+      let calls = 0;
+      graph.addTask('flaky', () => {
+        if (++calls < 3) {
+          throw new Error('not yet');
+        }
+
+        return 'ok';
+      });
+
+      const queueManager = new QueueManager(graph, { retry: { maxAttempts: 3, backoff: 'fixed', delay: 1 } });
+      const retries = [];
+      queueManager.on('task-retry', ({ attempt }) => retries.push(attempt));
+
+      const report = await queueManager.run();
+
+      expect(report.tasks.flaky).toEqual(expect.objectContaining({ status: 'succeeded', attempts: 3 }));
+      expect(retries).toEqual([2, 3]);
+      expect(report.stats.retried).toBe(2);
+    });
+
+    test('gives up when retryOn rejects the error', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('auth', () => {
+        throw Object.assign(new Error('denied'), { code: 'EAUTH' });
+      }, { retry: { maxAttempts: 5, delay: 1, retryOn: error => error.code !== 'EAUTH' } });
+
+      const report = await new QueueManager(graph).run();
+
+      expect(report.tasks.auth).toEqual(expect.objectContaining({ status: 'failed', attempts: 1 }));
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    test('aborts attempts that time out', async () => {
+      const graph = new TaskGraph();
+      let aborted = false;
+      graph.addTask('slow', (task, { signal }) => new Promise(() => {
+        signal.addEventListener('abort', () => { aborted = true; });
+      }), { timeout: 20 });
+
+      const report = await new QueueManager(graph).run();
+
+      expect(report.tasks.slow.error).toBeInstanceOf(errors.TaskTimeoutError);
+      expect(report.stats.timedOut).toBe(1);
+      expect(aborted).toBe(true);
+    });
+
+    test('cancels a running task without retrying it', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('slow', () => new Promise(() => {}), { retry: { maxAttempts: 3, delay: 1 } });
+      graph.addTask('after', () => 1);
+      graph.addDependency('after', 'slow');
+
+      const queueManager = new QueueManager(graph);
+      setTimeout(() => queueManager.cancel('slow'), 10);
+      const report = await settle(queueManager);
+
+      expect(report.tasks.slow).toEqual(expect.objectContaining({ status: 'cancelled', attempts: 1 }));
+      expect(report.tasks.after.status).toBe('skipped');
+    });
+
+    test('drains the queue when its queued tasks are cancelled or removed', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('slow', () => new Promise(() => {}));
+      graph.addTask('b', () => 'b');
+      graph.addTask('c', () => 'c');
+
+      const queueManager = new QueueManager(graph, { concurrency: 1 });
+      const run = settle(queueManager);
+      const drained = jest.fn();
+      const idle = jest.fn();
+      queueManager.drain().then(drained);
+      queueManager.onIdle().then(idle);
+
+      queueManager.cancel('b');
+      graph.removeTask('c');
+      await sleep(1);
+
+      expect(drained).toHaveBeenCalled();
+      expect(idle).not.toHaveBeenCalled();
+
+      queueManager.cancel('slow');
+      await run;
+
+      expect(idle).toHaveBeenCalled();
+    });
+
+    test('caps attempts at the deadline of the run', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('late', () => sleep(1000), { deadline: 20 });
+
+      const report = await new QueueManager(graph).run();
+
+      expect(report.tasks.late.error).toBeInstanceOf(errors.TaskTimeoutError);
+    });
+
+    test('stop() aborts running tasks after the grace period', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('slow', () => new Promise(() => {}));
+
+      const queueManager = new QueueManager(graph);
+      const run = queueManager.run();
+      await sleep(5);
+      await queueManager.stop(true, 10);
+
+      await expect(run).rejects.toBeInstanceOf(errors.RunFailedError);
+      expect(graph.getState('slow')).toBe('cancelled');
+    });
+  });
+
+  describe('failure policies', () => {
+    function failingGraph() {
+      const graph = new TaskGraph();
+      graph.addTask('fail', async () => { throw new Error('boom'); });
+      graph.addTask('slow', () => sleep(30));
+      graph.addTask('required', () => 1);
+      graph.addTask('optional', () => 1);
+      graph.addDependency('required', 'fail');
+      graph.addDependency('optional', 'fail', { optional: true });
+
+      return graph;
+    }
+
+    test('skip-dependents skips everything downstream of the failure', async () => {
+      const report = await new QueueManager(failingGraph()).run();
+
+      expect(report.status).toBe('failed');
+      expect(report.tasks.required.status).toBe('skipped');
+      expect(report.tasks.optional.status).toBe('skipped');
+      expect(report.tasks.slow.status).toBe('succeeded');
+    });
+
+    test('continue still runs dependents over optional edges', async () => {
+      const report = await new QueueManager(failingGraph(), { failurePolicy: 'continue' }).run();
+
+      expect(report.tasks.required.status).toBe('skipped');
+      expect(report.tasks.optional.status).toBe('succeeded');
+    });
+
+    test('fail-fast aborts the run', async () => {
+      const queueManager = new QueueManager(failingGraph(), { failurePolicy: 'fail-fast' });
+
+      const error = await queueManager.run().catch(runError => runError);
+
+      expect(error).toBeInstanceOf(errors.RunFailedError);
+      expect(error.report.status).toBe('aborted');
+      expect(error.report.tasks.slow.status).toBe('cancelled');
+    });
+
+    test('skips tasks whose condition does not hold, and cascades on request', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('check', () => 'no');
+      graph.addTask('branch', () => 1, { cascadeSkip: true });
+      graph.addTask('after-branch', () => 1);
+      graph.addTask('cleanup', () => 1, { when: ({ results }) => results.check === 'no' });
+      graph.addDependency('branch', 'check', { condition: result => result === 'yes' });
+      graph.addDependency('after-branch', 'branch');
+      graph.addDependency('cleanup', 'check');
+
+      const report = await new QueueManager(graph).run();
+
+      expect(report.tasks.branch.status).toBe('skipped');
+      expect(report.tasks['after-branch'].status).toBe('skipped');
+      expect(report.tasks.cleanup.status).toBe('succeeded');
+    });
+  });
+
+  describe('changing the graph during a run', () => {
+    test('spawned tasks run before the dependents of their parent', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('crawl', (task, { spawn }) => {
+        spawn('page-1', () => 'p1');
+        spawn('page-2', () => 'p2');
+        return 'root';
+      });
+      graph.addTask('index', (task, { results }) => Object.keys(results).sort());
+      graph.addDependency('index', 'crawl');
+
+      await new QueueManager(graph).run();
+
+      expect(graph.getResult('index')).toEqual(['crawl', 'page-1', 'page-2']);
+    });
+
+    test('spawns the tasks again when the queue is reset and rerun', async () => {
+      const graph = new TaskGraph();
+      let pages = ['page-1', 'page-2'];
+      graph.addTask('crawl', (task, { spawn }) => {
+        pages.forEach(page => spawn(page, () => page));
+      });
+      graph.addTask('index', (task, { results }) => Object.keys(results).sort());
+      graph.addDependency('index', 'crawl');
+
+      const queueManager = new QueueManager(graph);
+      await queueManager.run();
+      queueManager.reset();
+      pages = ['page-3'];
+      const report = await queueManager.run();
+
+      expect(graph.getResult('index')).toEqual(['crawl', 'page-3']);
+      expect(Object.keys(report.tasks).sort()).toEqual(['crawl', 'index', 'page-3']);
+    });
+
+    test('picks up tasks added while the queue is running', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('a', () => sleep(20));
+
+      const queueManager = new QueueManager(graph);
+      const run = queueManager.run();
+      graph.addTask('late', () => 'late');
+
+      const report = await run;
+
+      expect(report.tasks.late.status).toBe('succeeded');
+      expect(report.stats.total).toBe(2);
+    });
+
+    test('waits for dependencies added right after a task during a run', async () => {
+      const graph = new TaskGraph();
+      const order = [];
+      graph.addTask('x', () => sleep(10));
+      graph.addTask('y', () => sleep(10).then(() => order.push('y')));
+
+      const queueManager = new QueueManager(graph);
+      const run = queueManager.run();
+      await sleep(1);
+      graph.addTask('z', () => order.push('z'));
+      graph.addDependency('z', 'y');
+
+      const report = await run;
+
+      expect(order).toEqual(['y', 'z']);
+      expect(report.tasks.z.status).toBe('succeeded');
+    });
+  });
+
+  describe('map tasks', () => {
+    test('fans out over a runtime list and resolves in item order', async () => {
+      const graph = new TaskGraph();
+      graph.addTask('list', () => [3, 1, 2]);
+      graph.addMapTask('double', 'list', async (item) => {
+        await sleep(item);
+        return item * 2;
+      });
+
+      await new QueueManager(graph).run();
+
+      expect(graph.getResult('double')).toEqual([6, 2, 4]);
+    });
+
+    test('honors the map concurrency and reduce options', async () => {
+      const graph = new TaskGraph();
+      let running = 0;
+      let peak = 0;
+      graph.addTask('list', () => [1, 2, 3, 4, 5]);
+      graph.addMapTask('sum', 'list', async (item) => {
+        peak = Math.max(peak, ++running);
+        await sleep(5);
+        running--;
+        return item;
+      }, { concurrency: 2, reduce: results => results.reduce((a, b) => a + b, 0) });
+
+      await new QueueManager(graph, { concurrency: 8 }).run();
+
+      expect(graph.getResult('sum')).toBe(15);
+      expect(peak).toBe(2);
+    });
+
+    test('expands again over the new list when the queue is reset and rerun', async () => {
+      const graph = new TaskGraph();
+      let items = [1, 2, 3];
+      graph.addTask('list', () => items);
+      graph.addMapTask('double', 'list', item => item * 2, { concurrency: 2 });
+
+      const queueManager = new QueueManager(graph);
+      await queueManager.run();
+      queueManager.reset();
+      items = [4];
+      await queueManager.run();
+
+      expect(graph.getResult('double')).toEqual([8]);
+      expect(graph.getAllTasks().has('double[1]')).toBe(false);
+    });
+  });
+
+  describe('sub-graphs', () => {
+    test('gate entry tasks and resolve with the exit results', async () => {
+      const inner = new TaskGraph();
+      inner.addTask('compile', () => 'js');
+      inner.addTask('bundle', () => 'bundle.js');
+      inner.addDependency('bundle', 'compile');
+
+      const graph = new TaskGraph();
+      const order = [];
+      graph.addTask('install', () => order.push('install'));
+      graph.addSubGraph('frontend', inner);
+      graph.addTask('deploy', (task, { results }) => results.frontend);
+      graph.addDependency('frontend', 'install');
+      graph.addDependency('deploy', 'frontend');
+
+      const queueManager = new QueueManager(graph);
+      queueManager.on('task-start', ({ taskId }) => order.push(taskId));
+      const report = await queueManager.run();
+
+      expect(order.indexOf('install')).toBeLessThan(order.indexOf('frontend/compile'));
+      expect(report.tasks.deploy.result).toEqual({ bundle: 'bundle.js' });
+      expect(report.stats.subGraphs.frontend).toEqual(expect.objectContaining({ total: 3, succeeded: 3 }));
+    });
+
+    test('hand inner tasks the results of their dependencies under the inner IDs', async () => {
+      const assets = new TaskGraph();
+      assets.addTask('icons', () => ['a.svg']);
+
+      const inner = new TaskGraph();
+      inner.addTask('compile', () => ['a.js', 'b.js']);
+      inner.addMapTask('minify', 'compile', file => file.replace('.js', '.min.js'));
+      inner.addSubGraph('assets', assets);
+      inner.addTask('bundle', (task, { results }) => [...results.minify, ...results.assets.icons]);
+      inner.addDependency('bundle', ['minify', 'assets']);
+
+      const graph = new TaskGraph();
+      graph.addSubGraph('frontend', inner);
+
+      const report = await new QueueManager(graph).run();
+
+      expect(report.tasks['frontend/bundle'].result).toEqual(['a.min.js', 'b.min.js', 'a.svg']);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { adapters: { RabbitMQAdapter } } = require('..');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Channel that hands published messages straight to the consumer, so no broker is needed
+function connectFake(adapter) {
+  const channel = {
+    acked: [],
+    consume: async (queue, onMessage) => { channel.onMessage = onMessage; },
+    publish: (exchange, routingKey, content, properties) => channel.onMessage({ content, properties }),
+    ack: msg => channel.acked.push(msg),
+    nack: jest.fn()
+  };
+
+  adapter.channel = channel;
+  adapter.isConnected = true;
+  return channel;
+}
+
+describe('RabbitMQAdapter', () => {
+  test('handles messages with the same idempotency key once', async () => {
+    const adapter = new RabbitMQAdapter();
+    const channel = connectFake(adapter);
+    const handler = jest.fn(async () => {
+      await sleep(5);
+      return 'charged';
+    });
+    const completed = [];
+    adapter.on('task-completed', ({ result, duplicate }) => completed.push([result, duplicate]));
+
+    await adapter.startConsuming(handler);
+    await adapter.publishTask({ id: 'a' }, { idempotencyKey: 'order:1' });
+    await adapter.publishTask({ id: 'b' }, { headers: { 'x-idempotency-key': 'order:1' } });
+    await sleep(20);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(completed).toEqual([['charged', false], ['charged', true]]);
+    expect(channel.acked).toHaveLength(2);
+  });
+
+  test('does not use the message ID as an idempotency key', async () => {
+    const adapter = new RabbitMQAdapter();
+    connectFake(adapter);
+    const handler = jest.fn(async task => task.id);
+
+    await adapter.startConsuming(handler);
+    await adapter.publishTask({ id: 'a' }, { messageId: 'batch-7' });
+    await adapter.publishTask({ id: 'b' }, { messageId: 'batch-7' });
+    await sleep(5);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+});
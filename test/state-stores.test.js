@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TaskGraph, QueueManager, stateStores: { MemoryStateStore, FileStateStore, SqliteStateStore } } = require('..');
+
+describe('state stores', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-state-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe.each([
+    ['MemoryStateStore', () => new MemoryStateStore()],
+    ['FileStateStore', () => new FileStateStore({ directory })]
+  ])('%s', (name, createStore) => {
+    test('keeps the latest record of every task', async () => {
+      const store = createStore();
+      await store.saveTask('run-1', { taskId: 'a', state: 'running' });
+      await store.saveTask('run-1', { taskId: 'a', state: 'succeeded', result: 1 });
+      await store.saveTask('run-1', { taskId: 'b', state: 'ready' });
+
+      const records = await store.loadRun('run-1');
+
+      expect(records.a).toEqual({ taskId: 'a', state: 'succeeded', result: 1 });
+      expect(Object.keys(records).sort()).toEqual(['a', 'b']);
+      expect(await store.loadRun('run-2')).toBeNull();
+
+      await store.deleteRun('run-1');
+
+      expect(await store.loadRun('run-1')).toBeNull();
+    });
+
+    test('saves idempotency records', async () => {
+      const store = createStore();
+      await store.saveIdempotencyRecord('charge:1', { key: 'charge:1', result: 5 });
+
+      expect(await store.loadIdempotencyRecord('charge:1')).toEqual({ key: 'charge:1', result: 5 });
+      expect(await store.loadIdempotencyRecord('charge:2')).toBeNull();
+    });
+  });
+
+  test('FileStateStore ignores a line cut off by a crash', async () => {
+    const store = new FileStateStore({ directory });
+    await store.saveTask('run-1', { taskId: 'a', state: 'succeeded' });
+    fs.appendFileSync(path.join(directory, 'run-1.jsonl'), '{"taskId":"a","sta');
+
+    expect((await store.loadRun('run-1')).a.state).toBe('succeeded');
+  });
+
+  test('SqliteStateStore rejects a table name that is not an identifier', () => {
+    expect(() => new SqliteStateStore({ table: 'states; DROP TABLE users' })).toThrow('Invalid SqliteStateStore table name');
+    expect(() => new SqliteStateStore({ table: 'run_states' })).not.toThrow();
+  });
+
+  describe('resume()', () => {
+    function buildGraph(calls, failing) {
+      const graph = new TaskGraph();
+      graph.addTask('fetch', () => { calls.push('fetch'); return 'data'; });
+      graph.addTask('parse', (task, { results }) => {
+        calls.push('parse');
+
+        if (failing.parse) {
+          throw new Error('crashed');
+        }
+
+        return results.fetch.toUpperCase();
+      });
+      graph.addTask('always', () => calls.push('always'), { resumable: false });
+      graph.addDependency('parse', 'fetch');
+
+      return graph;
+    }
+
+    test('keeps the results of succeeded tasks and runs the rest again', async () => {
+      const stateStore = new FileStateStore({ directory });
+      const calls = [];
+      const failing = { parse: true };
+
+      await expect(new QueueManager(buildGraph(calls, failing), { stateStore, runId: 'nightly' }).run())
+        .resolves.toEqual(expect.objectContaining({ status: 'failed' }));
+
+      failing.parse = false;
+      calls.length = 0;
+      const report = await new QueueManager(buildGraph(calls, failing), { stateStore }).resume('nightly');
+
+      expect(calls.sort()).toEqual(['always', 'parse']);
+      expect(report.tasks.fetch).toEqual(expect.objectContaining({ status: 'succeeded', restored: true }));
+      expect(report.tasks.parse.result).toBe('DATA');
+      expect(report.stats.restored).toBe(1);
+    });
+
+    test('fails for a run that was never saved', async () => {
+      const queueManager = new QueueManager(new TaskGraph(), { stateStore: new MemoryStateStore() });
+
+      await expect(queueManager.resume('missing')).rejects.toThrow('No saved state for run missing');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { TaskGraph, TaskState, HandlerRegistry, parseGraphDefinition } = require('..');
+
+const noop = () => undefined;
+
+function chain(...ids) {
+  const graph = new TaskGraph();
+  ids.forEach(id => graph.addTask(id, noop));
+
+  for (let i = 1; i < ids.length; i++) {
+    graph.addDependency(ids[i], ids[i - 1]);
+  }
+
+  return graph;
+}
+
+describe('TaskGraph', () => {
+  describe('structure', () => {
+    test('tracks ready tasks as dependencies complete', () => {
+      const graph = chain('a', 'b', 'c');
+
+      expect(graph.getReadyTasks()).toEqual(['a']);
+
+      graph.markRunning('a');
+      graph.markCompleted('a', 1);
+
+      expect(graph.getState('b')).toBe(TaskState.READY);
+      expect(graph.getState('c')).toBe(TaskState.PENDING);
+      expect(graph.getResult('a')).toBe(1);
+    });
+
+    test('rejects dependencies that close a cycle and names the cycle', () => {
+      const graph = chain('a', 'b', 'c');
+
+      expect(() => graph.addDependency('a', 'c')).toThrow(/a -> c -> b -> a|cycle/i);
+    });
+
+    test('removes a pending task and releases its dependents', () => {
+      const graph = chain('a', 'b');
+
+      graph.removeTask('a');
+
+      expect(graph.getAllTasks().has('a')).toBe(false);
+      expect(graph.getState('b')).toBe(TaskState.READY);
+    });
+
+    test('orders tasks topologically', () => {
+      const graph = chain('a', 'b', 'c');
+
+      expect(graph.getTopologicalOrder()).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('critical path', () => {
+    test('follows the longest chain weighted by estimated duration', () => {
+      const graph = new TaskGraph();
+      graph.addTask('a', noop, { estimatedDuration: 10 });
+      graph.addTask('slow', noop, { estimatedDuration: 50 });
+      graph.addTask('fast', noop, { estimatedDuration: 5 });
+      graph.addTask('end', noop, { estimatedDuration: 1 });
+      graph.addDependency('slow', 'a');
+      graph.addDependency('fast', 'a');
+      graph.addDependency('end', ['slow', 'fast']);
+
+      expect(graph.getCriticalPath()).toEqual({ path: ['a', 'slow', 'end'], duration: 61 });
+      expect(graph.getSlack('fast')).toBe(45);
+      expect(graph.getSlack('slow')).toBe(0);
+    });
+
+    test('learns durations and exports them', () => {
+      const graph = chain('a');
+      graph.recordDuration('a', 10);
+      graph.recordDuration('a', 20);
+
+      expect(graph.getEstimatedDuration('a')).toBe(15);
+      expect(graph.getDurationHistory()).toEqual({ a: { average: 15, samples: 2 } });
+    });
+  });
+
+  describe('conditions and guards', () => {
+    test('evaluates edge conditions and when guards on upstream results', () => {
+      const graph = new TaskGraph();
+      graph.addTask('check', noop);
+      graph.addTask('yes', noop);
+      graph.addTask('no', noop, { when: ({ results }) => results.check === 'no' });
+      graph.addDependency('yes', 'check', { condition: result => result === 'yes' });
+      graph.addDependency('no', 'check');
+
+      graph.markRunning('check');
+      graph.markCompleted('check', 'yes');
+
+      expect(graph.evaluateGuards('yes').run).toBe(true);
+      expect(graph.evaluateGuards('no').run).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    test('reports missing handlers, orphans and redundant edges', () => {
+      const graph = chain('a', 'b', 'c');
+      graph.addDependency('c', 'a');
+      graph.addTask('lonely', noop);
+      graph.addTask('empty', {});
+      graph.addDependency('empty', 'a');
+
+      const report = graph.validate();
+
+      expect(report.valid).toBe(false);
+      expect(report.missingHandlers).toEqual(['empty']);
+      expect(report.orphans).toContain('lonely');
+      expect(report.redundantEdges).toEqual([expect.objectContaining({ taskId: 'c', dependsOn: 'a' })]);
+      expect(report.depth).toBe(3);
+    });
+  });
+
+  describe('diagrams', () => {
+    test('renders DOT and Mermaid with every edge', () => {
+      const graph = chain('a', 'b');
+      graph.addTask('c', noop);
+      graph.addDependency('c', 'a', { optional: true });
+
+      const dot = graph.toDot();
+      const mermaid = graph.toMermaid();
+
+      expect(dot).toMatch(/^digraph/);
+      expect(dot).toContain('"a" -> "b"');
+      expect(dot).toMatch(/"a" -> "c" \[[^\]]*dashed/);
+      expect(mermaid).toMatch(/^flowchart TD/);
+      expect(mermaid).toMatch(/-\.->/);
+    });
+  });
+
+  describe('serialization', () => {
+    test('round-trips through JSON with a handler registry', () => {
+      const registry = new HandlerRegistry({ work: noop });
+      const definition = parseGraphDefinition(JSON.stringify({
+        tasks: {
+          fetch: { handler: 'work', params: { url: 'x' }, retry: { maxAttempts: 2 } },
+          parse: { handler: 'work', dependencies: ['fetch', { task: 'fetch-extra', optional: true }] },
+          'fetch-extra': { handler: 'work' }
+        }
+      }));
+
+      const graph = TaskGraph.fromJSON(definition, registry);
+      const copy = TaskGraph.fromJSON(JSON.parse(JSON.stringify(graph)), registry);
+
+      expect(copy.getDependencies('parse').sort()).toEqual(['fetch', 'fetch-extra']);
+      expect(copy.getTask('fetch').params).toEqual({ url: 'x' });
+      expect(copy.getTask('fetch').execute).toBe(noop);
+    });
+
+    test('points to the offending task of an invalid definition', () => {
+      const registry = new HandlerRegistry({ work: noop });
+
+      expect(() => TaskGraph.fromJSON({ tasks: { a: { handler: 'missing' } } }, registry))
+        .toThrow(expect.objectContaining({ code: 'EGRAPHDEFINITION', taskId: 'a' }));
+    });
+  });
+});